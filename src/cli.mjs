@@ -9,7 +9,9 @@ import { fileURLToPath } from 'url';
 import axios from 'axios';
 import { Command } from 'commander';
 import Ipcamsd from './ipcamsd.mjs';
-import { initStdout, logMessage } from './log.mjs';
+import { getProfilesByHosts } from './profiles.mjs';
+import { exitCodes, toIpcamsdError } from './errors.mjs';
+import { initStdout, logMessage, setOutputMode } from './log.mjs';
 
 /**
  * Initializes standard output (stdout).
@@ -97,19 +99,151 @@ function addCommand(name, isDefault, cbAddOptions) {
     cmd.action((options) => {
         const ipcamsd = new Ipcamsd();
 
-        let opts = program.opts();
-        let auth = {
-            hosts: opts.host,
-            usernames: opts.username,
-            passwords: opts.password,
-            ssls: opts.ssl
-        };
+        let cameras;
 
-        ipcamsd.process(name, opts.firmware, auth, options)
-            .then(null, (err) => console.error(err || 'An error occurred'));
+        try {
+            cameras = getCameras(program.opts());
+        } catch (err) {
+            program.error(err.message);
+        }
+
+        const { concurrency, timeout, retries, retryDelay } = program.opts();
+        const output = getOutputMode(program.opts());
+
+        return runCommand(ipcamsd, name, cameras, { ...options, concurrency, timeout, retries, retryDelay, output })
+            .then((results) => {
+                process.exitCode = getExitCode(results);
+            }, (err) => {
+                const error = toIpcamsdError(err || 'An error occurred');
+
+                program.error(error.message, { exitCode: getExitCode([{ status: 'failed', error }]) });
+            });
     });
 }
 
+/**
+ * Runs command by camera profiles and options.
+ * 
+ * The watch and serve commands run until the process receives SIGINT or SIGTERM.
+ * 
+ * @param {object} ipcamsd The @see Ipcamsd instance.
+ * @param {string} name The name of the command.
+ * @param {Array} cameras Array with camera profiles.
+ * @param {object} options Object with options of command.
+ * @returns Array with results of hosts.
+ */
+function runCommand(ipcamsd, name, cameras, options) {
+    if (name === 'watch' || name === 'serve') {
+        let instance;
+
+        try {
+            instance = name === 'watch'
+                ? ipcamsd.watch(options.command, cameras, options)
+                : ipcamsd.serve(cameras, options);
+        } catch (err) {
+            program.error(err.message);
+        }
+
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => instance.stop());
+        }
+
+        return instance.start().then(() => []);
+    }
+
+    return ipcamsd.process(name, cameras, options);
+}
+
+/**
+ * Gets camera profiles by configuration file and host options.
+ * 
+ * @param {object} opts Object with global options of Commander.js.
+ * @returns Array with camera profiles.
+ */
+function getCameras(opts) {
+    const cameras = [];
+
+    if (opts.config) {
+        cameras.push(...Ipcamsd.loadProfiles(opts.config, opts.camera));
+    } else if (opts.camera?.length) {
+        throw new Error('Option --camera requires --config');
+    }
+
+    cameras.push(...getProfilesByHosts(opts.host, opts));
+
+    if (!cameras.length) {
+        throw new Error(`required option '--host <host...>' or '--config <file>' not specified`);
+    }
+
+    return cameras;
+}
+
+/**
+ * Gets exit code by results of hosts.
+ * 
+ * The error code of the first failed host determines the exit code. Results
+ * with errors of single records exit with code of partial results.
+ * 
+ * @param {Array} results Array with results of hosts.
+ * @returns Number with exit code.
+ */
+function getExitCode(results) {
+    const failed = results.find(result => result?.status === 'failed');
+
+    if (failed) {
+        return exitCodes[failed.error?.code] ?? exitCodes.ERROR;
+    }
+
+    return results.some(result => result?.status === 'partial')
+        ? exitCodes.PARTIAL
+        : exitCodes.SUCCESS;
+}
+
+/**
+ * Gets output mode by global options.
+ * 
+ * @param {object} opts Object with global options of Commander.js.
+ * @returns String with output mode.
+ */
+function getOutputMode(opts) {
+    return opts.ndjson ? 'ndjson' : opts.json ? 'json' : 'text';
+}
+
+/**
+ * Adds options of date and time filter to @see Command instance.
+ * 
+ * @param {object} command The @see Command instance to attach options.
+ * @returns The @see Command instance.
+ */
+function addDateTimeOptions(command) {
+    return command
+        .option('--start-date <yyyymmdd|today|yesterday>', 'start date of records')
+        .option('--end-date <yyyymmdd|today|yesterday>', 'end date of records')
+        .option('--start-time <hhmmss>', 'start time of records')
+        .option('--end-time <hhmmss>', 'end time of records');
+}
+
+/**
+ * Adds options of output conversion shared by fetch, sync and watch to @see Command instance.
+ * 
+ * @param {object} command The @see Command instance to attach options.
+ * @returns The @see Command instance.
+ */
+function addFetchOptions(command) {
+    return command
+        .option('--speed <factor>', 'speed factor of output (e.g. 30)')
+        .option('--timelapse <interval>', 'record duration per output frame (e.g. 10s, 1m)')
+        .option('--audio <drop|atempo>', 'audio of output with changed speed', 'drop')
+        .option('--min-gap <duration>', 'minimum duration of reported gaps between records', '1m')
+        .option('--fill-gaps <none|black|card>', 'fill gaps between records with black frames or title card', 'none')
+        .option('--timestamp-overlay', 'burn recording date and time into output', false)
+        .option('--timestamp-format <format>', 'strftime format of timestamp overlay', '%Y-%m-%d %H:%M:%S')
+        .option('--timestamp-position <position>', 'position of timestamp overlay (e.g. top-left)', 'bottom-right')
+        .option('--timestamp-font <file>', 'font file of timestamp overlay')
+        .option('--timestamp-font-size <size>', 'font size of timestamp overlay', '24')
+        .option('--video-filter <filter>', 'video filter in ffmpeg required format', collect, []);
+}
+
 /**
  * Sets the program version to @see Command instance.
  */
@@ -120,42 +254,114 @@ program
  * Adds command and related options to fetch records to @see Command instance.
  */
 addCommand('fetch', true, (command) => {
-    command
-        .option('--start-date <yyyymmdd|today|yesterday>', 'start date of records')
-        .option('--end-date <yyyymmdd|today|yesterday>', 'end date of records')
-        .option('--start-time <hhmmss>', 'start time of records')
-        .option('--end-time <hhmmss>', 'end time of records')
+    addDateTimeOptions(command)
         .option('--separate-by-date', 'separate by date', false)
+        .option('--separate-by <hour|record|duration>', 'separate by hour, record or duration (e.g. 30m)')
+        .option('--max-output-size <size>', 'maximum size of output files (e.g. 2G)')
+        .option('--trim <copy|encode|none>', 'trim merged output to exact time window', 'copy')
         .option('--last-minutes <number>', 'last minutes of records till now (start time skipped)', parseInt)
         .option('--start-delay <number>', 'start delay in minutes', parseInt)
         .option('--target-directory <dir>', 'target directory for converted files')
         .option('--target-file-type <type>', 'target file type used by ffmpeg for conversion')
         .option('--filename-prefix <prefix>', 'output filename prefix')
         .option('--filename <filename...>', 'output filename (ignored on separations)', [])
-        .option('--video-filter <filter>', 'video filter in ffmpeg required format', collect, []);
+        .option('--record-type <types>', 'record types to filter (timer,motion,person,vehicle,animal)')
+        .option('--filename-record-type', 'append record types to output filename', false);
+
+    addFetchOptions(command);
+});
+
+/**
+ * Adds command and related options to synchronize records with local archive to @see Command instance.
+ */
+addCommand('sync', false, (command) => {
+    addDateTimeOptions(command)
+        .option('--last-minutes <number>', 'last minutes of records till now (start time skipped)', parseInt)
+        .option('--archive-directory <dir>', 'directory of local archive')
+        .option('--merge-by-date', 'merge records per date in local archive', false)
+        .option('--record-type <types>', 'record types to filter (timer,motion,person,vehicle,animal)')
+        .option('--trim <copy|encode|none>', 'trim merged output to exact time window', 'copy')
+        .option('--target-file-type <type>', 'target file type used by ffmpeg for conversion')
+        .option('--filename-prefix <prefix>', 'output filename prefix');
+
+    addFetchOptions(command);
+});
+
+/**
+ * Adds command and related options to run fetch or sync on schedule to @see Command instance.
+ */
+addCommand('watch', false, (command) => {
+    addDateTimeOptions(command)
+        .option('--command <fetch|sync>', 'command to run per cycle', 'fetch')
+        .option('--interval <minutes>', 'interval of cycles in minutes', parseInt)
+        .option('--cron <expression>', 'cron expression of cycles (minute hour day month weekday)')
+        .option('--state-file <file>', 'file with latest downloaded records per camera', 'ipcamsd-watch.json')
+        .option('--last-minutes <number>', 'last minutes of records till now on first cycle', parseInt)
+        .option('--separate-by-date', 'separate by date', false)
+        .option('--separate-by <hour|record|duration>', 'separate by hour, record or duration (e.g. 30m)')
+        .option('--max-output-size <size>', 'maximum size of output files (e.g. 2G)')
+        .option('--trim <copy|encode|none>', 'trim merged output to exact time window', 'copy')
+        .option('--target-directory <dir>', 'target directory for converted files')
+        .option('--archive-directory <dir>', 'directory of local archive')
+        .option('--merge-by-date', 'merge records per date in local archive', false)
+        .option('--target-file-type <type>', 'target file type used by ffmpeg for conversion')
+        .option('--filename-prefix <prefix>', 'output filename prefix')
+        .option('--record-type <types>', 'record types to filter (timer,motion,person,vehicle,animal)')
+        .option('--filename-record-type', 'append record types to output filename', false);
+
+    addFetchOptions(command);
 });
 
 /**
- * Adds command to list records to @see Command instance.
+ * Adds command and related options to serve REST API of records to @see Command instance.
  */
-addCommand('list');
+addCommand('serve', false, (command) => {
+    command
+        .option('--port <number>', 'port of http server', (value) => parseInt(value), 8080)
+        .option('--bind <address>', 'address of http server', '127.0.0.1')
+        .option('--filter-preset <name=filter>', 'named video filter selectable by jobs (e.g. fast=setpts=PTS/30)', collect, [])
+        .option('--target-directory <dir>', 'target directory for converted files');
+});
+
+/**
+ * Adds command and related options to list records to @see Command instance.
+ */
+addCommand('list', false, (command) => {
+    command
+        .option('--record-type <types>', 'record types to filter (timer,motion,person,vehicle,animal)');
+});
 
 /**
  * Adds default options to @see Command instance.
  */
 program
-    .requiredOption('--host <host...>', 'host of ip camera')
+    .option('--config <file>', 'configuration file (json|yaml) with camera profiles')
+    .option('--camera <name...>', 'names of camera profiles in configuration file')
+    .option('--host <host...>', 'host of ip camera')
     .option('--firmware <firmware...>', 'firmware of ip camera', ['hi3510'])
     .option('--username <username...>', 'username of ip camera', [])
     .option('--password <password...>', 'password of ip camera', [])
-    .option('--ssl <ssl...>', 'use secure socket layer', collectBoolean, []);
+    .option('--ssl <ssl...>', 'use secure socket layer', collectBoolean, [])
+    .option('--auth <basic|digest|auto...>', 'http authentication of ip camera', [])
+    .option('--channel <channel...>', 'channels of nvr (comma-separated numbers or all)', [])
+    .option('--stream <main|sub...>', 'stream type of recordings', [])
+    .option('--concurrency <number>', 'number of hosts processed in parallel', parseInt)
+    .option('--timeout <ms>', 'timeout of http requests in milliseconds', parseInt)
+    .option('--retries <number>', 'number of retries of failed http requests', parseInt)
+    .option('--retry-delay <ms>', 'initial delay of retries in milliseconds (doubled per retry)', parseInt)
+    .option('--json', 'print results as json instead of human readable output', false)
+    .option('--ndjson', 'print events as newline delimited json stream', false);
 
 /**
- * Validates whether NPM package is outdated.
+ * Sets output mode and validates whether NPM package is outdated before command action.
  */
-await validateNpmVersion();
+program.hook('preAction', async () => {
+    setOutputMode(getOutputMode(program.opts()));
+
+    await validateNpmVersion();
+});
 
 /**
  * Instance of @see Command parses command-line arguments.
  */
-program.parse(process.argv);
+await program.parseAsync(process.argv);
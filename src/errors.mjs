@@ -0,0 +1,128 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+/**
+ * Exit codes of command-line interface by error code and result status.
+ */
+const exitCodes = {
+    SUCCESS: 0,
+    ERROR: 1,
+    PARTIAL: 2,
+    AUTHENTICATION: 3,
+    HOST_UNREACHABLE: 4,
+    NO_RECORDS: 5,
+    FFMPEG: 6,
+    DISK_FULL: 7
+};
+
+/**
+ * Network error codes of unreachable hosts.
+ */
+const unreachableCodes = [
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'EHOSTUNREACH',
+    'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT'
+];
+
+/**
+ * Base error of ipcamsd with code of error type.
+ */
+class IpcamsdError extends Error {
+
+    /**
+     * Code of error type.
+     */
+    static code = 'ERROR';
+
+    /**
+     * Initializes new instance of @see IpcamsdError.
+     *
+     * @param {string} message The message of error.
+     * @param {object} options Object with optional cause of error.
+     */
+    constructor(message, options) {
+        super(message, options);
+
+        this.name = new.target.name;
+        this.code = new.target.code;
+    }
+
+    /**
+     * Gets @see object with serializable values of error.
+     *
+     * @returns Object with name, code and message.
+     */
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message };
+    }
+}
+
+/**
+ * Error of rejected credentials.
+ */
+class AuthenticationError extends IpcamsdError {
+    static code = 'AUTHENTICATION';
+}
+
+/**
+ * Error of host which does not respond.
+ */
+class HostUnreachableError extends IpcamsdError {
+    static code = 'HOST_UNREACHABLE';
+}
+
+/**
+ * Error of missing records for specified parameters.
+ */
+class NoRecordsError extends IpcamsdError {
+    static code = 'NO_RECORDS';
+}
+
+/**
+ * Error of missing or failed FFmpeg.
+ */
+class FfmpegError extends IpcamsdError {
+    static code = 'FFMPEG';
+}
+
+/**
+ * Error of insufficient disk space.
+ */
+class DiskFullError extends IpcamsdError {
+    static code = 'DISK_FULL';
+}
+
+/**
+ * Converts error of HTTP request, file system or runtime to @see IpcamsdError.
+ *
+ * @param {Error} err The error to convert.
+ * @returns Error of type @see IpcamsdError.
+ */
+const toIpcamsdError = (err) => {
+    if (err instanceof IpcamsdError) {
+        return err;
+    }
+
+    const status = err?.response?.status;
+    const message = err?.message || String(err);
+
+    if (status === 401 || status === 403) {
+        return new AuthenticationError(`Authentication failed (HTTP ${status})`, { cause: err });
+    } else if (err?.code === 'ENOSPC') {
+        return new DiskFullError(message, { cause: err });
+    } else if (!status && unreachableCodes.includes(err?.code)) {
+        return new HostUnreachableError(message, { cause: err });
+    }
+
+    return new IpcamsdError(message, { cause: err });
+};
+
+export {
+    exitCodes,
+    IpcamsdError,
+    AuthenticationError,
+    HostUnreachableError,
+    NoRecordsError,
+    FfmpegError,
+    DiskFullError,
+    toIpcamsdError
+};
@@ -4,23 +4,71 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import axios from 'axios';
+import crypto from 'crypto';
 import commandExists from 'command-exists';
 import ffmpeg from 'fluent-ffmpeg';
+import moment from 'moment';
 import path from 'path';
 import tmp from 'tmp';
 import Ipcamsd from '../ipcamsd.mjs';
-import log, { logMessage, logError, writeProgress, endProgress } from '../log.mjs';
+import Manifest from '../manifest.mjs';
+import {
+    AuthenticationError,
+    DiskFullError,
+    FfmpegError,
+    HostUnreachableError,
+    IpcamsdError,
+    NoRecordsError,
+    toIpcamsdError
+} from '../errors.mjs';
+import log, { logMessage, logError, logWarning, writeProgress, endProgress, emitEvent } from '../log.mjs';
 
 export default class Base {
 
+    /**
+     * Supported algorithms of digest authentication by order of preference.
+     */
+    static digestAlgorithms = ['SHA-256', 'SHA-256-SESS', 'MD5', 'MD5-SESS'];
+
+    /**
+     * Minimum interval of timelapse in seconds to decode keyframes only.
+     */
+    static keyframeTimelapseInterval = 10;
+
+    /**
+     * Maximum tempo of single atempo filter of FFmpeg.
+     */
+    static maxAudioTempo = 2;
+
+    /**
+     * Object with positions of timestamp overlay and their x and y expressions of drawtext filter.
+     */
+    static timestampPositions = {
+        'top-left': ['10', '10'],
+        'top-right': ['w-tw-10', '10'],
+        'bottom-left': ['10', 'h-th-10'],
+        'bottom-right': ['w-tw-10', 'h-th-10']
+    };
+
+    /**
+     * Duration of title card of gaps between records in seconds.
+     */
+    static gapCardDuration = 2;
+
+    /**
+     * Format of date and time values of gaps in log messages and title cards.
+     */
+    static gapDateTimeFormat = 'YYYY-MM-DD HH:mm:ss';
+
     /**
      * Initializes new instance of @see Base.
      * 
      * @param {string} host The host to which the requests are sent.
      * @param {object} auth Object with values for authentication.
      * @param {number} idx Current index of host iteration.
+     * @param {object} source Object with channel and stream of recordings.
      */
-    constructor(host, auth, idx) {
+    constructor(host, auth, idx, source) {
         if (new.target === Base) {
             throw new TypeError('Cannot construct abstract instances directly');
         }
@@ -28,46 +76,163 @@ export default class Base {
         this.host = host;
         this.auth = auth;
         this.idx = idx;
+        this.source = source || {};
+        this.downloads = [];
+        this.recordTypes = new Map();
+        this.lastRecord = null;
+        this.startedAt = moment();
+        this.maxSizeIgnored = false;
+        this.digest = null;
 
         this.setBaseUrl?.();
         this.setHeaders?.();
+
+        this.#applyAuthMethod();
     }
 
     /**
      * Fetches records of IP camera.
      * 
      * @param {object} settings Object with all settings of @see Ipcamsd instance.
+     * @returns Object with planned records, download results and output files.
      */
     async fetch(settings) {
         this.settings = settings;
 
-        if (commandExists.sync('ffmpeg')) {
-            const startDelay = this.#calculateStartDelayInMs();
+        if (!commandExists.sync('ffmpeg')) {
+            throw new FfmpegError('FFmpeg is not installed');
+        }
+
+        await this.#waitForStartDelay();
+
+        const tmpDir = tmp.dirSync({ prefix: 'ipcamsd' });
+
+        try {
+            const dates = await this.#getFilteredRecords(settings.dateTime);
+
+            emitEvent('records', { dates });
+
+            if (!dates.some(dateObj => dateObj.records.length > 0)) {
+                throw new NoRecordsError('No records found');
+            }
+
+            const result = await this.downloadRecords(dates, tmpDir);
+
+            if (!result.outputs.length) {
+                throw this.#getDownloadError(result.downloads) || new NoRecordsError('No records downloaded');
+            }
+
+            return result;
+        } finally {
+            fs.removeSync(tmpDir.name);
+        }
+    }
+
+    /**
+     * Synchronizes records of IP camera with local archive.
+     * 
+     * @param {object} settings Object with all settings of @see Ipcamsd instance.
+     * @returns Array with filenames of downloaded records and merged files.
+     */
+    async sync(settings) {
+        this.settings = settings;
+
+        const { mergeByDate } = settings.sync;
+
+        if (mergeByDate && !commandExists.sync('ffmpeg')) {
+            throw new FfmpegError('FFmpeg is not installed');
+        }
+
+        const directory = this.#getArchiveDirectory();
+        fs.ensureDirSync(directory);
+
+        this.settings = { ...settings, fs: { ...settings.fs, directory } };
+
+        const manifest = new Manifest(directory);
+
+        const dates = await this.#getFilteredRecords(settings.dateTime);
+        const result = [];
+
+        emitEvent('records', { dates });
+
+        if (!dates.length) {
+            throw new NoRecordsError('No records found');
+        }
+
+        for (const dateObj of dates) {
+            const { records } = dateObj;
+            const date = path.join(this.#getChannelDirectory(dateObj.channel), dateObj.date);
+            const pending = records.filter(record => !manifest.has(date, record));
+
+            log(date, chalk.magenta);
+
+            if (pending.length > 0) {
+                const dateDir = path.join(directory, date);
+                fs.ensureDirSync(dateDir);
+
+                this.#logDownloadMessage(true);
+
+                await this.downloadRecordFiles({ ...dateObj, records: pending }, dateDir);
 
-            return new Promise(resolve => {
-                setTimeout(() => {
-                    const tmpDir = tmp.dirSync({ prefix: 'ipcamsd' });
-                    const dateTime = settings.dateTime;
+                const valid = await this.#verifyRecordFiles({ ...dateObj, records: pending }, dateDir);
 
-                    this.getRecords?.(dateTime).then(dates => {
-                        this.downloadRecords(dates, tmpDir).then((result) => {
-                            fs.removeSync(tmpDir.name);
+                this.#setLastRecord(dateObj.date, valid);
 
-                            resolve(result);
-                        });
+                for (const record of valid) {
+                    const filename = path.join(dateDir, record);
+                    const { start, end } = this.getDateAndTimeParts(record);
+
+                    const types = this.getRecordTypes(record);
+
+                    await manifest.add(date, record, filename, {
+                        date: dateObj.date,
+                        host: this.host,
+                        channel: dateObj.channel,
+                        start,
+                        end,
+                        ...(types.length && { types })
                     });
-                }, startDelay);
-            });
-        } else {
-            logMessage('FFmpeg is not installed');
+
+                    result.push(filename);
+                }
+
+                manifest.save();
+
+                if (mergeByDate) {
+                    const outputs = await this.#createSeparateRecordsFiles(
+                        { ...dateObj, records: records.filter(record => manifest.has(date, record)) },
+                        dateDir
+                    );
+
+                    manifest.setMerged(date, outputs.map(output => output.file));
+                    manifest.save();
+
+                    result.push(...outputs.map(output => output.name));
+                }
+            } else {
+                logMessage('No new records found');
+            }
+        }
+
+        const error = this.#getDownloadError(this.downloads);
+
+        if (error) {
+            throw error;
         }
+
+        return result;
     }
 
     /**
      * Lists records of IP camera.
+     * 
+     * @param {object} settings Object with all settings of @see Ipcamsd instance.
+     * @returns Array with dates, first and last records, all records and their segments.
      */
-    async list() {
-        const dates = await this.getRecords?.({});
+    async list(settings) {
+        this.settings = settings;
+
+        const dates = await this.#getFilteredRecords({});
 
         if (dates?.length) {
             const result = [];
@@ -75,24 +240,29 @@ export default class Base {
             for (const date of dates) {
                 const records = date.records;
 
-                log(date.date, chalk.magenta);
+                log(date.date + (date.channel != null ? ` (channel ${date.channel})` : ''), chalk.magenta);
 
                 if (records && records.length > 0) {
                     const first = records[0];
-                    const last = records.length > 1 ? ' - ' + records.slice(-1)[0] : '';
-
-                    const entry = first + last;
-
-                    result.push(entry);
+                    const last = records.length > 1 ? records.slice(-1)[0] : undefined;
+
+                    result.push({
+                        date: date.date,
+                        ...(date.channel != null && { channel: date.channel }),
+                        first,
+                        last,
+                        records,
+                        segments: this.#getSegments(records)
+                    });
 
-                    log(entry, chalk.white);
+                    log(first + (last ? ' - ' + last : ''), chalk.white);
                 }
             }
 
             return result;
-        } else {
-            this.#logNoRecordsFound();
         }
+
+        throw new NoRecordsError('No records found');
     }
 
     /**
@@ -113,12 +283,40 @@ export default class Base {
     }
 
     /**
-     * Downloads record files by date.
+     * Downloads record files by date and merges them per channel.
      * 
-     * @param {Array} dates Array with dates and records.
+     * @param {Array} dates Array with dates, records and optional channel.
      * @param {string} tmpDir The temporary directory of this instance.
+     * @returns Object with planned records, download results and output files.
      */
     async downloadRecords(dates, tmpDir) {
+        const records = dates.map(dateObj => ({ ...dateObj, records: [...dateObj.records] }));
+        const outputs = [];
+
+        this.downloads = [];
+
+        for (const [channel, channelDates] of this.#groupByChannel(dates)) {
+            if (channel != null) {
+                log(`Channel ${channel}`, chalk.yellow);
+            }
+
+            const channelTmpDir = path.join(tmpDir.name, this.#getChannelDirectory(channel));
+
+            outputs.push(...await this.#downloadChannelRecords(channelDates, channelTmpDir, channel));
+        }
+
+        return { records, downloads: this.downloads, outputs };
+    }
+
+    /**
+     * Downloads record files of channel by date.
+     * 
+     * @param {Array} dates Array with dates and records.
+     * @param {string} tmpDir The temporary directory of channel.
+     * @param {number} channel The channel of records.
+     * @returns Array with output files.
+     */
+    async #downloadChannelRecords(dates, tmpDir, channel) {
         const result = [];
 
         const separateByDate = this.settings.dateTime.separateByDate;
@@ -138,19 +336,19 @@ export default class Base {
 
                 await this.downloadRecordFiles(dateObj, dateTmpDir);
 
-                if (separateByDate) {
-                    result.push(await this.#createSeparateRecordsFile(dateObj, dateTmpDir));
+                dateObj.records = await this.#verifyRecordFiles(dateObj, dateTmpDir);
+
+                this.#setLastRecord(date, dateObj.records);
+
+                if (separateByDate && dateObj.records.length > 0) {
+                    result.push(...await this.#createSeparateRecordsFiles(dateObj, dateTmpDir));
                 }
             } else {
                 this.#logNoRecordsFound();
             }
         }
 
-        const fileName = await this.#createSingleRecordsFile(separateByDate, dates, tmpDir.name);
-
-        if (fileName) {
-            result.push(fileName);
-        }
+        result.push(...await this.#createSingleRecordsFiles(separateByDate, dates, tmpDir, channel));
 
         return result;
     }
@@ -172,83 +370,248 @@ export default class Base {
     }
 
     /**
-     * Gets body string of HTTP content.
+     * Gets @see Array with types of record (e.g. timer, motion or person) reported by firmware.
+     * 
+     * @param {string} record The name or path of record.
+     * @returns Array with record types.
+     */
+    getRecordTypes(record) {
+        return this.recordTypes.get(this.extractFilename(record)) || [];
+    }
+
+    /**
+     * Gets continuous search range by date and time values.
+     *
+     * The last months until now are searched if no date is specified.
+     *
+     * @param {object} dateTime Object with date and times values.
+     * @param {number} months Number of months to search without date.
+     * @returns Object with start and end moments.
+     */
+    getSearchRange(dateTime, months) {
+        const { date, time } = dateTime;
+        const format = Ipcamsd.dateFormat + Ipcamsd.timeFormat;
+        const today = moment().format(Ipcamsd.dateFormat);
+
+        if (date) {
+            return {
+                start: moment((date.start || today) + (time?.start || '000000'), format),
+                end: moment((date.end || date.start || today) + (time?.end || '235959'), format)
+            };
+        }
+
+        return {
+            start: moment().subtract(months, 'months').startOf('day'),
+            end: moment()
+        };
+    }
+
+    /**
+     * Adds records grouped by their start date to @see Array of dates.
+     *
+     * @param {Array} dates Array with date values.
+     * @param {Array} records Array of records with name and start moment.
+     * @param {number} channel The channel of records.
+     */
+    addRecordDates(dates, records, channel) {
+        const groups = new Map();
+
+        const sorted = [...records].sort((a, b) => a.start.diff(b.start));
+
+        for (const { name, start } of sorted) {
+            const date = start.format(Ipcamsd.dateFormat);
+
+            if (!groups.has(date)) {
+                groups.set(date, []);
+            }
+
+            groups.get(date).push(name);
+        }
+
+        for (const [date, names] of groups) {
+            dates.push({
+                date,
+                records: names,
+                ...(this.source.channel != null && { channel })
+            });
+        }
+    }
+
+    /**
+     * Gets body string of HTTP content and retries failed requests with exponential backoff.
+     * 
+     * Failed requests are thrown as @see IpcamsdError after the last retry.
      * 
      * @param {string} url The target URL for content request.
      * @param {string} method The target HTTP method for content request.
-     * @param {object|Array} data Data for POST request.
+     * @param {object|Array|string} data Data for POST request.
+     * @param {object} headers Object with additional headers of request.
      * @returns Response data provided by the endpoint.
      */
-    async httpContentRequest(url, method, data) {
+    async httpContentRequest(url, method, data, headers) {
+        const { timeout, retries } = this.#getHttpSettings();
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                const response = await this.#request({
+                    url,
+                    method: method || 'GET',
+                    headers: { ...this.headers, ...headers },
+                    data,
+                    timeout
+                });
+
+                if (response?.status == 200) {
+                    return response.data;
+                }
+
+                return;
+            } catch (e) {
+                if (attempt < retries && this.#isRetryableError(e)) {
+                    await this.#waitForRetry(attempt);
+                } else {
+                    throw toIpcamsdError(e);
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets body of HTTP content without retries and error logging to probe the camera.
+     *
+     * @param {string} url The target URL for content request.
+     * @param {string} method The target HTTP method for content request.
+     * @param {object|Array|string} data Data for POST request.
+     * @param {object} headers Object with additional headers of request.
+     * @returns Response data or undefined if the request fails.
+     */
+    async httpProbeRequest(url, method, data, headers) {
+        const { timeout } = this.#getHttpSettings();
+
         try {
-            const response = await axios({
+            const response = await this.#request({
                 url,
                 method: method || 'GET',
-                headers: this.headers,
+                headers: { ...this.headers, ...headers },
                 data,
-                timeout: Ipcamsd.defaultHttpRequestTimeout
+                timeout
             });
 
             if (response?.status == 200) {
                 return response.data;
             }
-        } catch (e) {
-            logError(e.message);
-        }
+        } catch { }
     }
 
     /**
      * Transfers HTTP content to file stream by URL.
      * 
+     * Interrupted transfers are retried with exponential backoff and resumed by
+     * HTTP Range requests if supported by the camera. Incomplete files are removed.
+     * Rejected credentials and insufficient disk space abort the transfer by error.
+     * 
      * @param {string} fileUrl The URL of file to stream.
      * @param {string} filename The target filename of stream.
+     * @param {object} options Object with optional method, data and headers of request.
+     * @returns Whether the file is transferred completely.
      */
-    async httpContentToFileStream(fileUrl, filename) {
-        const writeStream  = fs.createWriteStream(filename);
+    async httpContentToFileStream(fileUrl, filename, options) {
+        const { retries } = this.#getHttpSettings();
         const name = path.basename(filename);
+        const state = { receivedBytes: 0, totalBytes: null };
+        const startTime = Date.now();
 
-        try {
-            const { data, headers } = await axios({
-                method: 'GET',
-                url: fileUrl,
-                headers: this.headers,
-                responseType: 'stream'
-            });
+        let error;
 
-            let receivedBytes = 0;
-            const totalBytes = headers['content-length'];
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                if (attempt > 0 && fs.existsSync(filename)) {
+                    state.receivedBytes = fs.statSync(filename).size;
+                }
 
-            data.on('data', chunk => {
-                receivedBytes += chunk.length;
+                await this.#transferToFile(fileUrl, filename, state, options);
 
-                writeProgress(
-                    name,
-                    `${parseInt(receivedBytes * 100 / totalBytes)}%`
-                );
-            });
+                if (state.totalBytes != null && state.receivedBytes !== state.totalBytes) {
+                    throw new Error(`Received ${state.receivedBytes} of ${state.totalBytes} bytes`);
+                }
 
-            return new Promise((resolve, reject) => {
-                let error = null;
+                endProgress();
 
-                data.pipe(writeStream);
+                this.#addDownload(name, true, state.receivedBytes, startTime);
 
-                writeStream.on('error', err => {
-                    error = err;
-                    writeStream.close();
-                    reject(err);
-                });
+                return true;
+            } catch (e) {
+                endProgress();
 
-                writeStream .on('close', () => {
-                    if (!error) {
-                        this.#endProgress(resolve);
-                    }
-                });
-            });
-        } catch (e) {
-            writeStream.close();
+                error = toIpcamsdError(e);
+
+                if (error instanceof AuthenticationError || error instanceof DiskFullError) {
+                    fs.removeSync(filename);
+
+                    throw error;
+                } else if (attempt < retries && this.#isRetryableError(e)) {
+                    logMessage(`Retry ${name}: ${e.message}`);
 
-            logError(`${e.message} for ${name}`);
+                    await this.#waitForRetry(attempt);
+                } else {
+                    logError(`${e.message} for ${name}`);
+
+                    break;
+                }
+            }
         }
+
+        fs.removeSync(filename);
+
+        this.#addDownload(name, false, state.receivedBytes, startTime, error);
+
+        return false;
+    }
+
+    /**
+     * Records stream to file by FFmpeg without conversion.
+     *
+     * @param {string} streamUrl The URL of stream to record.
+     * @param {string} filename The target filename of record.
+     * @param {object} options Object with input options and duration in seconds of record.
+     * @returns Whether the stream is recorded successfully.
+     */
+    streamToFile(streamUrl, filename, options) {
+        const name = path.basename(filename);
+        const startTime = Date.now();
+
+        return new Promise(resolve => {
+            const ffmpegCmd = ffmpeg(streamUrl)
+                .inputOptions(options?.inputOptions || [])
+                .outputOptions('-c copy');
+
+            if (options?.duration) {
+                ffmpegCmd.duration(options.duration);
+            }
+
+            ffmpegCmd
+                .on('progress', (progress) => {
+                    writeProgress(name, progress.timemark);
+                })
+                .on('error', (err) => {
+                    endProgress();
+                    logError(`${err.message} for ${name}`);
+
+                    fs.removeSync(filename);
+
+                    this.#addDownload(name, false, 0, startTime, toIpcamsdError(err));
+
+                    resolve(false);
+                })
+                .on('end', () => {
+                    endProgress();
+
+                    this.#addDownload(name, true, fs.statSync(filename).size, startTime);
+
+                    resolve(true);
+                })
+                .save(filename);
+        });
     }
 
     /**
@@ -264,6 +627,151 @@ export default class Base {
      */
     logNotSupported = () => logMessage('Feature not supported');
 
+    /**
+     * Gets @see Array with start and end times of records.
+     *
+     * @param {Array} records Array with names of records.
+     * @returns Array with record names and their start and end times.
+     */
+    #getSegments = (records) => records.map(record => {
+        const { start, end } = this.getDateAndTimeParts(record);
+        const types = this.getRecordTypes(record);
+
+        return { record: this.extractFilename(record), start, end, ...(types.length && { types }) };
+    });
+
+    /**
+     * Gets records of firmware filtered by record types of settings.
+     *
+     * Dates without records of the requested types are removed. Firmwares which report
+     * no record types for their records cannot be filtered.
+     *
+     * @param {object} dateTime Object with date and times values.
+     * @returns Array of records.
+     */
+    async #getFilteredRecords(dateTime) {
+        const dates = await this.getRecords?.(dateTime) || [];
+        const types = this.settings.recordTypes;
+
+        if (!types?.length) {
+            return dates;
+        }
+
+        if (!this.recordTypes.size && dates.some(dateObj => dateObj.records.length > 0)) {
+            throw new IpcamsdError(`Record types are not supported by firmware ${this.constructor.name.toLowerCase()}`);
+        }
+
+        return dates
+            .map(dateObj => ({
+                ...dateObj,
+                records: dateObj.records.filter(record =>
+                    this.getRecordTypes(record).some(type => types.includes(type))
+                )
+            }))
+            .filter(dateObj => dateObj.records.length > 0);
+    }
+
+    /**
+     * Gets @see Array with distinct types of records.
+     *
+     * @param {Array} records Array with names or paths of records.
+     * @returns Array with record types.
+     */
+    #getDistinctRecordTypes = (records) => [
+        ...new Set(records.flatMap(record => this.getRecordTypes(record)))
+    ];
+
+    /**
+     * Verifies downloaded record files by FFprobe and downloads corrupt records once again.
+     *
+     * Records which are still corrupt after second download are excluded with warning.
+     *
+     * @param {object} dateObj Object with date and records.
+     * @param {string} dateTmpDir The directory of downloaded record files.
+     * @returns Array with names of valid records.
+     */
+    async #verifyRecordFiles(dateObj, dateTmpDir) {
+        const getFilename = (record) => path.join(dateTmpDir, record);
+        const existing = () => dateObj.records.filter(record => fs.existsSync(getFilename(record)));
+
+        if (!commandExists.sync('ffprobe')) {
+            return existing();
+        }
+
+        const getCorruptRecords = async (records) => {
+            const corrupt = [];
+
+            for (const record of records) {
+                if (fs.existsSync(getFilename(record))
+                    && !await this.#isValidRecordFile(getFilename(record))) {
+                    corrupt.push(record);
+                }
+            }
+
+            return corrupt;
+        };
+
+        let corrupt = await getCorruptRecords(dateObj.records);
+
+        if (corrupt.length > 0) {
+            corrupt.forEach(record => fs.removeSync(getFilename(record)));
+
+            await this.downloadRecordFiles({ ...dateObj, records: corrupt }, dateTmpDir);
+
+            for (const record of await getCorruptRecords(corrupt)) {
+                logWarning(`Corrupt record ${record} excluded`);
+
+                fs.removeSync(getFilename(record));
+            }
+        }
+
+        return existing();
+    }
+
+    /**
+     * Sets @see object with name, end date and end time of latest downloaded record.
+     *
+     * Records ending at or after the start of the instance are still in progress (e.g. Reolink
+     * reports the current time as end) and skipped to resume before them.
+     *
+     * @param {string} date The date value of records.
+     * @param {Array} records Array with names of downloaded records.
+     */
+    #setLastRecord(date, records) {
+        for (const record of records) {
+            const { start, end } = this.getDateAndTimeParts(record);
+
+            if (end) {
+                const endDate = start && end < start
+                    ? moment(date, Ipcamsd.dateFormat).add(1, 'days').format(Ipcamsd.dateFormat)
+                    : date;
+
+                const ended = moment(`${endDate}${end}`, `${Ipcamsd.dateFormat}${Ipcamsd.timeFormat}`);
+                const last = this.lastRecord;
+
+                if (ended.isSameOrAfter(this.startedAt, 'second')) {
+                    continue;
+                }
+
+                if (!last || `${endDate}${end}` > `${last.date}${last.time}`) {
+                    this.lastRecord = { record: this.extractFilename(record), date: endDate, time: end };
+                }
+            }
+        }
+    }
+
+    /**
+     * Probes record file by FFprobe for readable video stream.
+     *
+     * @param {string} filename The filename of record to probe.
+     * @returns Whether the record file is valid.
+     */
+    #isValidRecordFile = (filename) => new Promise(resolve =>
+        ffmpeg.ffprobe(filename, (err, metadata) =>
+            resolve(!err && !!metadata?.streams?.some(stream => stream.codec_type === 'video'))
+        )
+    );
+
     /**
      * Prints download message to stdout.
      * 
@@ -281,30 +789,35 @@ export default class Base {
     #logNoRecordsFound = () => logMessage('No records found');
 
     /**
-     * Creates separate records file by date and time parameters.
+     * Creates separate records files by date and time parameters.
      * 
      * @param {object} dateObj Object with date and records.
      * @param {string} dateTmpDir The temporary directory for records by date.
-     * @returns String with name of file.
+     * @returns Array with output files.
      */
-    async #createSeparateRecordsFile(dateObj, dateTmpDir) {
-        let recordsFile = this.#createFileList(dateObj.date, dateObj.records, dateTmpDir);
+    #createSeparateRecordsFiles = (dateObj, dateTmpDir) =>
+        this.#createOutputFiles(dateObj.date, dateObj.records, dateTmpDir, dateObj.channel, true);
 
-        const fileName = this.#getFilename(dateObj.records, true);
-
-        await this.#concatenateAndConvertToTargetFile(recordsFile, fileName);
-
-        return fileName;
-    }
+    /**
+     * Gets archive directory of host.
+     * 
+     * @returns String with archive directory of host.
+     */
+    #getArchiveDirectory = () => path.join(
+        this.settings.sync.directory || process.cwd(),
+        this.host.replace(/[^\w.-]/g, '_')
+    );
 
     /**
-     * Creates single records file by date and time parameters.
+     * Creates single records files by date and time parameters.
      * 
      * @param {boolean} separateByDate Contains whether to separate target file by date.
      * @param {Array} dates Array with date and records.
-     * @param {string} tmpDir The temporary directory of this instance.
+     * @param {string} tmpDir The temporary directory of channel.
+     * @param {number} channel The channel of records.
+     * @returns Array with output files.
      */
-    async #createSingleRecordsFile(separateByDate, dates, tmpDir) {
+    async #createSingleRecordsFiles(separateByDate, dates, tmpDir, channel) {
         if (!separateByDate) {
             let records = [];
 
@@ -314,40 +827,570 @@ export default class Base {
                 });
             });
 
-            if (records.length > 0) {
-                let recordsFile = this.#createFileList('0000', records, tmpDir);
-
-                const fileName = this.#getFilename(records);
+            return this.#createOutputFiles('0000', records, tmpDir, channel, false);
+        }
 
-                await this.#concatenateAndConvertToTargetFile(recordsFile, fileName);
+        return [];
+    }
 
-                return fileName;
-            }
+    /**
+     * Creates output files of records split by separation and maximum size of output.
+     * 
+     * @param {string} name The name of target files with list of records.
+     * @param {Array} records Array with names of records.
+     * @param {string} dir The directory of records.
+     * @param {number} channel The channel of records.
+     * @param {boolean} separate Contains whether output is separated (by date).
+     * @returns Array with output files.
+     */
+    async #createOutputFiles(name, records, dir, channel, separate) {
+        const parts = this.#splitRecords(records, dir);
+        const outputs = [];
+
+        for (let i = 0; i < parts.length; i++) {
+            const recordsFile = this.#createFileList(parts.length > 1 ? `${name}_${i}` : name, parts[i], dir);
+
+            const fileName = this.#getFilename(parts[i], separate || parts.length > 1, channel);
+
+            outputs.push(await this.#createOutputFile(recordsFile, fileName, parts[i], channel));
+
+            fs.removeSync(recordsFile);
+        }
+
+        return outputs;
+    }
+
+    /**
+     * Splits records into parts by separation (hour, record or duration) and maximum size of output.
+     * 
+     * Durations are aligned to the start of day, e.g. hourly parts start at full hours. Records are
+     * assigned to parts by their start time. The size of parts is estimated by the size of records,
+     * so the maximum size is ignored for re-encoded output.
+     * 
+     * @param {Array} records Array with names of records.
+     * @param {string} dir The directory of records.
+     * @returns Array with parts of records.
+     */
+    #splitRecords(records, dir) {
+        const { separateBy } = this.settings.dateTime;
+        const maxSize = this.#getMaxOutputSize();
+        const parts = [];
+
+        let part, key, size;
+
+        for (const record of records) {
+            const recordKey = this.#getSeparationKey(record, separateBy);
+            const recordSize = maxSize ? this.#getFileSize(path.join(dir, record)) : 0;
+
+            if (!part || recordKey !== key || (maxSize && size + recordSize > maxSize)) {
+                parts.push(part = []);
+
+                key = recordKey;
+                size = 0;
+            }
+
+            part.push(record);
+            size += recordSize;
+        }
+
+        return parts;
+    }
+
+    /**
+     * Gets maximum size of output files if output is not re-encoded.
+     * 
+     * @returns Number with maximum size in bytes or undefined.
+     */
+    #getMaxOutputSize() {
+        const { maxSize } = this.settings.fs;
+
+        if (maxSize && this.#isReencoded()) {
+            if (!this.maxSizeIgnored) {
+                logWarning('Maximum output size is ignored for re-encoded output');
+
+                this.maxSizeIgnored = true;
+            }
+
+            return;
+        }
+
+        return maxSize;
+    }
+
+    /**
+     * Gets whether output is re-encoded by trim mode, filters, speed or filled gaps.
+     * 
+     * @returns Whether output is re-encoded.
+     */
+    #isReencoded() {
+        const { ffmpeg, gaps } = this.settings;
+
+        return ffmpeg?.trim === 'encode'
+            || !!ffmpeg?.timestamp
+            || !!ffmpeg?.videoFilter?.length
+            || !!this.#getSpeedFactor()
+            || (!!gaps?.fill && gaps.fill !== 'none');
+    }
+
+    /**
+     * Gets key of part by separation and start time of record.
+     * 
+     * @param {string} record The name of record.
+     * @param {any} separateBy The separation by record or duration in seconds.
+     * @returns String with key of part or undefined without separation.
+     */
+    #getSeparationKey(record, separateBy) {
+        if (separateBy === 'record') {
+            return record;
+        } else if (separateBy) {
+            const { start } = this.#getRecordTimeRange(record);
+
+            if (start?.isValid()) {
+                const seconds = start.diff(start.clone().startOf('day'), 'seconds');
+
+                return `${start.format(Ipcamsd.dateFormat)}_${Math.floor(seconds / separateBy)}`;
+            }
+        }
+    }
+
+    /**
+     * Gets size of file in bytes.
+     * 
+     * @param {string} filename The name of file.
+     * @returns Number with size of file or zero if file does not exist.
+     */
+    #getFileSize(filename) {
+        try {
+            return fs.statSync(filename).size;
+        } catch {
+            return 0;
         }
     }
 
     /**
      * Creates temporary directory for record files by date.
      * 
-     * @param {string} tmpDir The temporary directory of this instance.
+     * @param {string} tmpDir The temporary directory of channel.
      * @param {string} date The date value.
      * @returns String with temporary directory for date.
      */
     #createTmpDirForDate(tmpDir, date) {
-        let dateTmpDir = path.join(tmpDir.name, date);
-        fs.mkdirSync(dateTmpDir);
+        let dateTmpDir = path.join(tmpDir, date);
+        fs.mkdirSync(dateTmpDir, { recursive: true });
 
         return dateTmpDir;
     }
 
     /**
-     * Prints newline to stdout and resolves promise on progress end.
+     * Groups dates with records by channel.
      * 
-     * @param {function} resolve The function to resolve promise.
+     * @param {Array} dates Array with dates, records and optional channel.
+     * @returns Map object with channels and their dates.
      */
-    #endProgress(resolve) {
-        endProgress();
-        resolve();
+    #groupByChannel(dates) {
+        const groups = new Map();
+
+        for (const dateObj of dates) {
+            const channel = dateObj.channel;
+
+            if (!groups.has(channel)) {
+                groups.set(channel, []);
+            }
+
+            groups.get(channel).push(dateObj);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Gets name of directory by channel.
+     * 
+     * @param {number} channel The channel of records.
+     * @returns String with name of directory or empty string without channel.
+     */
+    #getChannelDirectory = (channel) => channel != null ? `ch${channel}` : '';
+
+    /**
+     * Transfers HTTP content to file and resumes by HTTP Range request on received bytes.
+     * 
+     * @param {string} fileUrl The URL of file to stream.
+     * @param {string} filename The target filename of stream.
+     * @param {object} state Object with received and total bytes of transfer.
+     * @param {object} options Object with optional method, data and headers of request.
+     */
+    async #transferToFile(fileUrl, filename, state, options) {
+        const { timeout } = this.#getHttpSettings();
+        const name = path.basename(filename);
+        const headers = { ...this.headers, ...options?.headers };
+
+        if (state.receivedBytes > 0) {
+            headers['Range'] = `bytes=${state.receivedBytes}-`;
+        }
+
+        const response = await this.#request({
+            method: options?.method || 'GET',
+            url: fileUrl,
+            headers,
+            data: options?.data,
+            responseType: 'stream',
+            timeout
+        });
+
+        const contentLength = parseInt(response.headers['content-length']);
+
+        if (response.status === 206) {
+            const range = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+
+            state.totalBytes = range ? parseInt(range[1]) : state.receivedBytes + contentLength;
+        } else {
+            state.receivedBytes = 0;
+            state.totalBytes = isNaN(contentLength) ? null : contentLength;
+        }
+
+        const writeStream = fs.createWriteStream(filename, {
+            flags: state.receivedBytes > 0 ? 'a' : 'w'
+        });
+
+        return new Promise((resolve, reject) => {
+            const { data } = response;
+
+            let idleTimer, error = null;
+
+            const fail = (err) => {
+                if (!error) {
+                    error = err;
+
+                    clearTimeout(idleTimer);
+                    data.destroy();
+                    writeStream.destroy();
+                }
+            };
+
+            const resetIdleTimer = () => {
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(
+                    () => fail(new Error(`timeout of ${timeout}ms exceeded`)),
+                    timeout
+                );
+            };
+
+            resetIdleTimer();
+
+            data.on('data', chunk => {
+                resetIdleTimer();
+
+                state.receivedBytes += chunk.length;
+
+                writeProgress(name, this.#formatTransferProgress(state));
+            });
+
+            data.on('error', fail);
+            data.on('aborted', () => fail(new Error('Transfer aborted')));
+
+            writeStream.on('error', err => {
+                err.retryable = false;
+                fail(err);
+            });
+
+            writeStream.on('close', () => {
+                clearTimeout(idleTimer);
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+
+            data.pipe(writeStream);
+        });
+    }
+
+    /**
+     * Gets error of downloads if records were planned but every download failed.
+     *
+     * Unreachable hosts keep their error type, other failures are reported as download errors.
+     *
+     * @param {Array} downloads Array with results of downloads.
+     * @returns Error of failed downloads or undefined.
+     */
+    #getDownloadError(downloads) {
+        if (!downloads.length || downloads.some(download => download.success)) {
+            return;
+        }
+
+        const error = downloads[downloads.length - 1].error;
+        const message = `All ${downloads.length} downloads failed` + (error ? ` (${error.message})` : '');
+
+        return error?.code === HostUnreachableError.code
+            ? new HostUnreachableError(message)
+            : new IpcamsdError(message);
+    }
+
+    /**
+     * Adds result of download and emits download event.
+     * 
+     * @param {string} record The name of downloaded record.
+     * @param {boolean} success Contains whether the record is downloaded completely.
+     * @param {number} bytes The number of received bytes.
+     * @param {number} startTime The start time of download in milliseconds.
+     * @param {object} error The optional @see IpcamsdError of failed download.
+     */
+    #addDownload(record, success, bytes, startTime, error) {
+        const download = {
+            record,
+            success,
+            bytes,
+            duration: Date.now() - startTime,
+            ...(error && { error: error.toJSON() })
+        };
+
+        this.downloads.push(download);
+
+        emitEvent('download', download);
+    }
+
+    /**
+     * Sends HTTP request and answers digest authentication challenges of the camera.
+     * 
+     * The challenge is kept and its nonce is reused by subsequent requests until
+     * the camera responds with a new challenge. Challenges are ignored by basic
+     * authentication method.
+     * 
+     * @param {object} config Object with request configuration of axios.
+     * @returns Response of HTTP request.
+     */
+    async #request(config) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await axios({
+                    ...config,
+                    headers: { ...config.headers, ...this.#getDigestHeaders(config) }
+                });
+            } catch (e) {
+                const challenge = e.response?.status === 401
+                    && this.auth.method !== 'basic'
+                    && this.#parseDigestChallenge(e.response.headers['www-authenticate']);
+
+                if (!challenge || attempt > 0 || !this.auth.username) {
+                    throw e;
+                }
+
+                this.digest = { challenge, nonceCount: 0 };
+            }
+        }
+    }
+
+    /**
+     * Applies authentication method to headers of instance.
+     * 
+     * Basic authentication is sent preemptively by method basic and removed by
+     * method digest. Headers of firmware are kept by method auto.
+     */
+    #applyAuthMethod() {
+        const { method, username, password } = this.auth;
+
+        if (method === 'basic') {
+            this.headers = {
+                ...this.headers,
+                ...this.getHeadersForBasicAuthentication(username, password)
+            };
+        } else if (method === 'digest' && this.headers) {
+            const { Authorization, ...headers } = this.headers;
+
+            this.headers = headers;
+        }
+    }
+
+    /**
+     * Parses digest challenge of WWW-Authenticate header.
+     * 
+     * Challenges with supported algorithms are preferred by order of @see Base.digestAlgorithms.
+     * 
+     * @param {string|Array} header The value of WWW-Authenticate header.
+     * @returns Object with parameters of digest challenge.
+     */
+    #parseDigestChallenge(header) {
+        const challenges = [].concat(header || [])
+            .flatMap(entry => entry.split(/,?\s*(?=\b(?:Digest|Basic|Bearer|Negotiate)\s)/i))
+            .filter(entry => /^digest\s/i.test(entry))
+            .map(entry => {
+                const challenge = {};
+
+                for (const [, key, quoted, plain] of entry.matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)) {
+                    challenge[key.toLowerCase()] = quoted ?? plain;
+                }
+
+                challenge.algorithm = challenge.algorithm || 'MD5';
+
+                return challenge;
+            });
+
+        const getRank = (challenge) => {
+            const idx = Base.digestAlgorithms.indexOf(challenge.algorithm.toUpperCase());
+
+            return idx < 0 ? Infinity : idx;
+        };
+
+        return challenges
+            .filter(challenge => getRank(challenge) !== Infinity)
+            .sort((a, b) => getRank(a) - getRank(b))[0];
+    }
+
+    /**
+     * Gets headers with digest authorization of request by stored challenge.
+     * 
+     * @param {object} config Object with request configuration of axios.
+     * @returns Object with authorization header.
+     */
+    #getDigestHeaders(config) {
+        if (!this.digest) {
+            return {};
+        }
+
+        const { challenge } = this.digest;
+        const { username, password } = this.auth;
+
+        const { pathname, search } = new URL(config.url);
+        const uri = pathname + search;
+        const method = (config.method || 'GET').toUpperCase();
+
+        const algorithm = challenge.algorithm.toUpperCase();
+        const hashName = algorithm.startsWith('SHA-256') ? 'sha256' : 'md5';
+        const hash = (value) => crypto.createHash(hashName).update(value).digest('hex');
+
+        const qop = challenge.qop?.split(',').map(value => value.trim()).includes('auth');
+        const nc = qop ? (++this.digest.nonceCount).toString(16).padStart(8, '0') : null;
+        const cnonce = crypto.randomBytes(8).toString('hex');
+
+        let ha1 = hash(`${username}:${challenge.realm}:${password}`);
+
+        if (algorithm.endsWith('-SESS')) {
+            ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+        }
+
+        const ha2 = hash(`${method}:${uri}`);
+
+        const params = {
+            username,
+            realm: challenge.realm,
+            nonce: challenge.nonce,
+            uri,
+            algorithm: challenge.algorithm
+        };
+
+        if (qop) {
+            Object.assign(params, { qop: 'auth', nc, cnonce });
+
+            params.response = hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:auth:${ha2}`);
+        } else {
+            if (algorithm.endsWith('-SESS')) {
+                params.cnonce = cnonce;
+            }
+
+            params.response = hash(`${ha1}:${challenge.nonce}:${ha2}`);
+        }
+
+        if (challenge.opaque) {
+            params.opaque = challenge.opaque;
+        }
+
+        const unquoted = ['algorithm', 'qop', 'nc'];
+
+        const value = Object.entries(params)
+            .map(([key, value]) => unquoted.includes(key) ? `${key}=${value}` : `${key}="${value}"`)
+            .join(', ');
+
+        return { 'Authorization': `Digest ${value}` };
+    }
+
+    /**
+     * Formats progress of transfer as percentage or received bytes.
+     * 
+     * @param {object} state Object with received and total bytes of transfer.
+     * @returns String with progress of transfer.
+     */
+    #formatTransferProgress = ({ receivedBytes, totalBytes }) => totalBytes
+        ? `${parseInt(receivedBytes * 100 / totalBytes)}%`
+        : `${receivedBytes} bytes`;
+
+    /**
+     * Gets HTTP settings with timeout and retries of @see Ipcamsd instance.
+     * 
+     * @returns Object with HTTP settings.
+     */
+    #getHttpSettings() {
+        return {
+            timeout: Ipcamsd.defaultHttpRequestTimeout,
+            retries: Ipcamsd.defaultHttpRetries,
+            retryDelay: Ipcamsd.defaultHttpRetryDelay,
+            ...this.settings?.http
+        };
+    }
+
+    /**
+     * Validates whether failed HTTP request or transfer can be retried.
+     * 
+     * @param {Error} e The error of HTTP request or transfer.
+     * @returns Whether to retry.
+     */
+    #isRetryableError(e) {
+        if (e.retryable === false) {
+            return false;
+        }
+
+        const status = e.response?.status;
+
+        return !status || status >= 500 || status === 408 || status === 429;
+    }
+
+    /**
+     * Waits exponentially increasing delay before retry.
+     * 
+     * @param {number} attempt The index of the failed attempt.
+     */
+    #waitForRetry(attempt) {
+        const { retryDelay } = this.#getHttpSettings();
+
+        return new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+    }
+
+    /**
+     * Creates output file by list of records and emits output event.
+     * 
+     * @param {string} recordsFile The filename to listed record files.
+     * @param {string} fileName The filename for output file.
+     * @param {Array} records Array with names of records.
+     * @param {number} channel The channel of records.
+     * @returns Object with name, path, records and duration of output file.
+     */
+    async #createOutputFile(recordsFile, fileName, records, channel) {
+        const startTime = Date.now();
+
+        const gaps = this.#getGaps(records);
+
+        const file = await this.#concatenateAndConvertToTargetFile(recordsFile, fileName, records, gaps);
+
+        this.#logGaps(gaps);
+
+        const types = this.#getDistinctRecordTypes(records);
+
+        const output = {
+            name: fileName,
+            file,
+            ...(channel != null && { channel }),
+            records: records.map(record => this.extractFilename(record)),
+            ...(types.length && { types }),
+            ...(gaps.length && {
+                gaps: gaps.map(({ start, end, duration }) => ({ start: start.format(), end: end.format(), duration }))
+            }),
+            duration: Date.now() - startTime
+        };
+
+        emitEvent('output', output);
+
+        return output;
     }
 
     /**
@@ -355,9 +1398,12 @@ export default class Base {
      * 
      * @param {string} recordsFile The filename to listed record files.
      * @param {string} fileName The filename for output file.
+     * @param {Array} records Array with names of records.
+     * @param {Array} gaps Array with gaps between records.
+     * @returns String with path of output file.
      */
-    #concatenateAndConvertToTargetFile(recordsFile, fileName) {
-        return new Promise(resolve => {
+    #concatenateAndConvertToTargetFile(recordsFile, fileName, records, gaps) {
+        return new Promise((resolve, reject) => {
             let ffmpegCmd = ffmpeg();
 
             logMessage('2. Merge downloaded files');
@@ -369,23 +1415,32 @@ export default class Base {
                         `${progress.frames} frames processed`
                     );
                 })
+                .on('error', (err, stdout, stderr) => {
+                    endProgress();
+
+                    fs.removeSync(outputFile);
+
+                    reject(/No space left on device/i.test(stderr || '')
+                        ? new DiskFullError(`No space left on device for ${fileName}`, { cause: err })
+                        : new FfmpegError(`FFmpeg failed for ${fileName}: ${err.message}`, { cause: err }));
+                })
                 .on('end', () => {
                     endProgress();
 
                     logMessage(`3. Create output file`);
                     log(fileName);
 
-                    resolve();
+                    resolve(outputFile);
                 });
 
             ffmpegCmd
                 .input(recordsFile)
-                .inputOptions(this.#getInputOptions());
+                .inputOptions([...this.#getInputOptions(), ...this.#getTimelapseInputOptions()]);
 
-            this.#addVideoFilter(ffmpegCmd);
+            this.#addVideoFilter(ffmpegCmd, records, gaps);
 
             const directory = this.settings.fs.directory || process.cwd();
-            const outputFile = path.join(directory, fileName);
+            const outputFile = path.resolve(directory, fileName);
 
             ffmpegCmd.save(outputFile);
         });
@@ -402,20 +1457,376 @@ export default class Base {
     /**
      * Adds video filter to FFmpeg command.
      * 
+     * Timestamp and gap filters are applied before speed filters to use timestamps of records.
+     * 
      * @param {object} ffmpegCmd The command instance of FFmpeg.
+     * @param {Array} records Array with names of records.
+     * @param {Array} gaps Array with gaps between records.
      */
-    #addVideoFilter(ffmpegCmd) {
-        let videoFilter = this.settings.ffmpeg?.videoFilter;
-
-        if (videoFilter?.length > 0) {
+    #addVideoFilter(ffmpegCmd, records, gaps) {
+        let videoFilter = [
+            ...this.#getTimestampFilters(records),
+            ...this.#getGapFilters(gaps),
+            ...this.#getSpeedFilters(),
+            ...this.settings.ffmpeg?.videoFilter || []
+        ];
+
+        if (videoFilter.length > 0) {
             videoFilter.forEach(filter => {
                 ffmpegCmd.videoFilters(filter);
             });
-        } else {
+
+            this.#addGapAudioFilters(ffmpegCmd, gaps);
+            this.#addSpeedOptions(ffmpegCmd);
+        } else if (this.settings.ffmpeg?.trim !== 'encode') {
             ffmpegCmd.outputOptions('-c copy');
         }
     }
 
+    /**
+     * Gets wall-clock spans of records and their positions in merged output.
+     * 
+     * Spans are calculated by the start and end times and trim points of records.
+     * 
+     * @param {Array} records Array with names of records.
+     * @returns Array with start and end moments and position in seconds of records.
+     */
+    #getRecordSpans(records) {
+        const spans = [];
+
+        let position = 0;
+
+        for (const record of records || []) {
+            const { start, end } = this.#getRecordTimeRange(record);
+
+            if (start?.isValid() && end?.isValid()) {
+                const { inpoint = 0, outpoint = end.diff(start, 'seconds') } = this.#getTrimPoints(record);
+
+                spans.push({
+                    start: start.clone().add(inpoint, 'seconds'),
+                    end: start.clone().add(outpoint, 'seconds'),
+                    position
+                });
+
+                position += outpoint - inpoint;
+            }
+        }
+
+        return spans;
+    }
+
+    /**
+     * Gets gaps between consecutive records with minimum duration of settings.
+     * 
+     * @param {Array} records Array with names of records.
+     * @returns Array with start and end moments, duration and position in seconds of gaps.
+     */
+    #getGaps(records) {
+        const minDuration = this.settings.gaps?.minDuration ?? Ipcamsd.defaultMinGap;
+        const spans = this.#getRecordSpans(records);
+        const gaps = [];
+
+        for (let i = 1; i < spans.length; i++) {
+            const duration = spans[i].start.diff(spans[i - 1].end, 'seconds');
+
+            if (duration >= minDuration) {
+                gaps.push({ start: spans[i - 1].end, end: spans[i].start, duration, position: spans[i].position });
+            }
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Prints gaps between records to stdout.
+     * 
+     * @param {Array} gaps Array with gaps between records.
+     */
+    #logGaps(gaps) {
+        const format = Base.gapDateTimeFormat;
+
+        gaps.forEach(({ start, end, duration }) => logMessage(
+            `Gap ${start.format(format)} - ${end.format(format)} (${this.#formatDuration(duration)})`
+        ));
+    }
+
+    /**
+     * Formats duration in seconds to hours, minutes and seconds.
+     * 
+     * @param {number} seconds The duration in seconds.
+     * @returns String with formatted duration (e.g. 2:05:00).
+     */
+    #formatDuration = (seconds) => [
+        Math.floor(seconds / 3600),
+        ...[Math.floor(seconds / 60) % 60, seconds % 60].map(value => String(value).padStart(2, '0'))
+    ].join(':');
+
+    /**
+     * Gets video filters to fill gaps between records with black frames or title cards.
+     * 
+     * Timestamps after gaps are shifted by the duration of gaps (black) or title cards (card)
+     * and the fps filter repeats frames until the next record. Repeated frames are covered by
+     * a black box and the title card shows start and end of gap. Black filler keeps playback
+     * position of output aligned to real time.
+     * 
+     * @param {Array} gaps Array with gaps between records.
+     * @returns Array with video filters.
+     */
+    #getGapFilters(gaps) {
+        const ranges = this.#getFilledGapRanges(gaps);
+
+        if (!ranges.length) {
+            return [];
+        }
+
+        const filters = [];
+
+        filters.push(
+            this.#getFilter('setpts', { expr: this.#getGapShiftExpression(ranges) }),
+            `fps=${this.settings.ffmpeg?.frameRate || Ipcamsd.defaultFrameRate}`,
+            this.#getFilter('drawbox', {
+                x: 0,
+                y: 0,
+                w: 'iw',
+                h: 'ih',
+                color: 'black',
+                t: 'fill',
+                enable: ranges.map(({ start, end }) => `gte(t,${start})*lt(t,${end})`).join('+')
+            })
+        );
+
+        if (this.settings.gaps.fill === 'card') {
+            const { font, fontSize } = this.settings.ffmpeg?.timestamp || {};
+            const format = Base.gapDateTimeFormat;
+
+            filters.push(...ranges.map(({ gap, start, end }) => this.#getFilter('drawtext', {
+                ...(font && { fontfile: font }),
+                text: `No recordings ${gap.start.format(format)} - ${gap.end.format(format)}`
+                    + ` (${this.#formatDuration(gap.duration)})`,
+                fontsize: fontSize || Ipcamsd.defaultTimestampFontSize,
+                fontcolor: 'white',
+                x: '(w-tw)/2',
+                y: '(h-th)/2',
+                enable: `gte(t,${start})*lt(t,${end})`
+            })));
+        }
+
+        return filters;
+    }
+
+    /**
+     * Adds audio filters to shift audio after gaps and fill gaps with silence.
+     * 
+     * Audio filters are skipped if audio is dropped by speed settings.
+     * 
+     * @param {object} ffmpegCmd The command instance of FFmpeg.
+     * @param {Array} gaps Array with gaps between records.
+     */
+    #addGapAudioFilters(ffmpegCmd, gaps) {
+        const ranges = this.#getFilledGapRanges(gaps);
+        const dropped = this.#getSpeedFactor() && this.settings.ffmpeg.audio !== 'atempo';
+
+        if (ranges.length && !dropped) {
+            ffmpegCmd.audioFilters([
+                this.#getFilter('asetpts', { expr: this.#getGapShiftExpression(ranges) }),
+                'aresample=async=1'
+            ]);
+        }
+    }
+
+    /**
+     * Gets ranges of filled gaps in output by fill mode of settings.
+     * 
+     * @param {Array} gaps Array with gaps between records.
+     * @returns Array with gaps and their start and end in seconds of output.
+     */
+    #getFilledGapRanges(gaps) {
+        const fill = this.settings.gaps?.fill;
+        const ranges = [];
+
+        if (fill && fill !== 'none') {
+            let shift = 0;
+
+            for (const gap of gaps || []) {
+                const start = gap.position + shift;
+
+                shift += fill === 'card' ? Base.gapCardDuration : gap.duration;
+
+                ranges.push({ gap, start, end: gap.position + shift });
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Gets expression of timestamps shifted by filled gaps.
+     * 
+     * Timestamps of records after a gap are shifted by the durations of all previous filled gaps.
+     * 
+     * @param {Array} ranges Array with gaps and their start and end in seconds of output.
+     * @returns String with expression of setpts or asetpts filter.
+     */
+    #getGapShiftExpression = (ranges) =>
+        `PTS+(${ranges.map(({ gap, start, end }) => `gte(T,${gap.position})*${end - start}`).join('+')})/TB`;
+
+    /**
+     * Gets drawtext filters to burn wall-clock date and time of records into output.
+     * 
+     * The time of a frame is the start time of its record plus the elapsed time of the
+     * record. Each filter covers records without gaps between them and is enabled by
+     * its range of output timestamps.
+     * 
+     * @param {Array} records Array with names of records.
+     * @returns Array with video filters.
+     */
+    #getTimestampFilters(records) {
+        const timestamp = this.settings.ffmpeg?.timestamp;
+
+        if (!timestamp) {
+            return [];
+        }
+
+        const ranges = [];
+
+        for (const { start, position } of this.#getRecordSpans(records)) {
+            const offset = start.unix() - position;
+            const last = ranges[ranges.length - 1];
+
+            if (last?.offset !== offset) {
+                ranges.push({ offset, start: position });
+            }
+        }
+
+        return ranges.map(({ offset, start }, idx) => {
+            const end = ranges[idx + 1]?.start;
+            const enable = [idx > 0 && `gte(t,${start})`, end != null && `lt(t,${end})`].filter(value => value);
+
+            return this.#getTimestampFilter(timestamp, offset, enable.join('*'));
+        });
+    }
+
+    /**
+     * Gets drawtext filter of timestamp overlay with offset of output timestamps.
+     * 
+     * @param {object} timestamp Object with format, position, font and font size of overlay.
+     * @param {number} offset The offset of output timestamps in seconds since epoch.
+     * @param {string} enable The optional expression to enable filter.
+     * @returns String with drawtext filter.
+     */
+    #getTimestampFilter(timestamp, offset, enable) {
+        const [x, y] = Base.timestampPositions[timestamp.position];
+
+        const format = timestamp.format.replace(/[\\:}']/g, '\\$&');
+
+        return this.#getFilter('drawtext', {
+            ...(timestamp.font && { fontfile: timestamp.font }),
+            text: `%{pts:localtime:${offset}:${format}}`,
+            fontsize: timestamp.fontSize,
+            fontcolor: 'white',
+            box: 1,
+            boxcolor: 'black@0.5',
+            boxborderw: 4,
+            x,
+            y,
+            ...(enable && { enable })
+        });
+    }
+
+    /**
+     * Gets filter of FFmpeg with escaped options.
+     * 
+     * @param {string} name The name of filter.
+     * @param {object} options Object with options of filter.
+     * @returns String with filter.
+     */
+    #getFilter = (name, options) => `${name}=` + Object.entries(options)
+        .map(([key, value]) => `${key}=${this.#escapeFilterValue(value)}`)
+        .join(':');
+
+    /**
+     * Escapes value of filter option for option and filtergraph level of FFmpeg.
+     * 
+     * @param {any} value The value of filter option.
+     * @returns String with escaped and quoted value.
+     */
+    #escapeFilterValue(value) {
+        const escaped = String(value).replace(/[\\':]/g, '\\$&');
+
+        return `'${escaped.replace(/'/g, `'\\''`)}'`;
+    }
+
+    /**
+     * Gets speed factor of output by speed or timelapse interval of settings.
+     * 
+     * A timelapse interval is the duration of records in seconds per output frame.
+     * 
+     * @returns Number with speed factor or undefined if speed is not changed.
+     */
+    #getSpeedFactor() {
+        const { speed, timelapse, frameRate } = this.settings.ffmpeg || {};
+
+        return timelapse ? timelapse * frameRate : speed;
+    }
+
+    /**
+     * Gets video filters to speed up output with constant frame rate.
+     * 
+     * Timestamps are divided by the speed factor and the fps filter drops all frames
+     * between output frames before they are encoded. This is independent of the
+     * frame rate of input records.
+     * 
+     * @returns Array with video filters.
+     */
+    #getSpeedFilters() {
+        const factor = this.#getSpeedFactor();
+
+        return factor ? [`setpts=PTS/${factor}`, `fps=${this.settings.ffmpeg.frameRate}`] : [];
+    }
+
+    /**
+     * Adds output rate and audio options of speed to FFmpeg command.
+     * 
+     * Audio is dropped or sped up by chained atempo filters.
+     * 
+     * @param {object} ffmpegCmd The command instance of FFmpeg.
+     */
+    #addSpeedOptions(ffmpegCmd) {
+        const factor = this.#getSpeedFactor();
+
+        if (factor) {
+            ffmpegCmd.outputOptions(`-r ${this.settings.ffmpeg.frameRate}`);
+
+            if (this.settings.ffmpeg.audio === 'atempo') {
+                const filters = [];
+
+                let tempo = factor;
+
+                while (tempo > Base.maxAudioTempo) {
+                    filters.push(`atempo=${Base.maxAudioTempo}`);
+                    tempo /= Base.maxAudioTempo;
+                }
+
+                filters.push(`atempo=${+tempo.toFixed(6)}`);
+
+                ffmpegCmd.audioFilters(filters);
+            } else {
+                ffmpegCmd.noAudio();
+            }
+        }
+    }
+
+    /**
+     * Gets input options to decode keyframes only for timelapse with long intervals.
+     * 
+     * @returns Array with input options.
+     */
+    #getTimelapseInputOptions() {
+        const timelapse = this.settings.ffmpeg?.timelapse;
+
+        return timelapse >= Base.keyframeTimelapseInterval ? ['-skip_frame nokey'] : [];
+    }
+
     /**
      * Creates .txt file with records paths in FFmpeg required format.
      * 
@@ -429,6 +1840,11 @@ export default class Base {
 
         records.forEach(record => { 
             file.write(`file '${path.join(dir, record)}'` + '\r\n');
+
+            const { inpoint, outpoint } = this.#getTrimPoints(record);
+
+            if (inpoint) file.write(`inpoint ${inpoint}` + '\r\n');
+            if (outpoint) file.write(`outpoint ${outpoint}` + '\r\n');
         });
 
         file.end();
@@ -436,6 +1852,79 @@ export default class Base {
         return fileName;
     }
 
+    /**
+     * Gets in and out points in seconds to trim record to requested time window.
+     * 
+     * @param {string} record The name of record.
+     * @returns Object with optional in and out points.
+     */
+    #getTrimPoints(record) {
+        const result = {};
+        const window = this.#getTrimWindow();
+
+        if (window) {
+            const { start, end } = this.#getRecordTimeRange(record);
+
+            if (start?.isValid() && end?.isValid()) {
+                if (window.start?.isAfter(start) && window.start.isBefore(end)) {
+                    result.inpoint = window.start.diff(start, 'seconds');
+                }
+                if (window.end?.isBefore(end) && window.end.isAfter(start)) {
+                    result.outpoint = window.end.diff(start, 'seconds');
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Gets requested wall-clock time window of date and time filter.
+     * 
+     * @returns Object with start and end moments or undefined if trimming is disabled.
+     */
+    #getTrimWindow() {
+        const { ffmpeg, dateTime } = this.settings;
+
+        if (ffmpeg?.trim !== 'none' && dateTime) {
+            const { date, time } = dateTime;
+            const format = Ipcamsd.dateFormat + Ipcamsd.timeFormat;
+
+            const getMoment = (date, time) => date && time
+                ? moment(date + time, format) : undefined;
+
+            return {
+                start: getMoment(date.start, time.start),
+                end: getMoment(date.end, time.end)
+            };
+        }
+    }
+
+    /**
+     * Gets wall-clock start and end of record by parsed filename.
+     * 
+     * @param {string} record The name of record.
+     * @returns Object with start and end moments.
+     */
+    #getRecordTimeRange(record) {
+        const { date, start, end } = this.getDateAndTimeParts(record);
+
+        if (date && start && end) {
+            const format = 'YYMMDD' + Ipcamsd.timeFormat;
+
+            const startTime = moment(date + start, format);
+            const endTime = moment(date + end, format);
+
+            if (endTime.isBefore(startTime)) {
+                endTime.add(1, 'days');
+            }
+
+            return { start: startTime, end: endTime };
+        }
+
+        return {};
+    }
+
     /**
      * Gets target filename by index.
      * 
@@ -452,25 +1941,28 @@ export default class Base {
     /**
      * Gets target filename by parameters of records.
      * 
+     * Ranges of filenames are the trimmed start of first and end of last record.
+     * 
      * @param {Array} records Array with names of records.
      * @param {boolean} separateByDate Contains whether to separate target file by date.
+     * @param {number} channel The channel of records.
      * @returns String with target filename.
      */
-    #getFilename(records, separateByDate) {
+    #getFilename(records, separateByDate, channel) {
         if (records.length > 0) {
             let range, prefix;
             let name = this.#getFilenameByIdx();
 
             if (name && !separateByDate) {
-                prefix = name;
+                prefix = name + (channel != null ? `_${this.#getChannelDirectory(channel)}` : '');
             } else {
-                prefix = this.#getFilenamePrefix();
+                prefix = this.#getFilenamePrefix(channel);
 
-                let first = this.getDateAndTimeParts(records[0]);
+                let first = this.#getTrimmedParts(records[0]);
                 range = `${first.date}_${first.start}`;
 
                 let last = records.length > 1
-                    ? this.getDateAndTimeParts(records[records.length-1]) : null;
+                    ? this.#getTrimmedParts(records[records.length-1]) : null;
                 if (last) {
                     if (last.date !== first.date) {
                         range += `_${last.date}`;
@@ -481,20 +1973,52 @@ export default class Base {
                 }
             }
 
-            return `${prefix}${range || ''}.${this.#getFileTypeByFfmpegParams()}`;
+            return `${prefix}${range || ''}${this.#getRecordTypesSuffix(records)}.${this.#getFileTypeByFfmpegParams()}`;
         }
     }
 
     /**
-     * Gets filename prefix by custom user value and host.
+     * Gets date and time parts of record with start and end times of its trim points.
      * 
+     * @param {string} record The name of record.
+     * @returns Object with date and time parts as strings.
+     */
+    #getTrimmedParts(record) {
+        const parts = this.getDateAndTimeParts(record);
+        const { start } = this.#getRecordTimeRange(record);
+        const { inpoint, outpoint } = this.#getTrimPoints(record);
+
+        return {
+            ...parts,
+            ...(inpoint && { start: start.clone().add(inpoint, 'seconds').format(Ipcamsd.timeFormat) }),
+            ...(outpoint && { end: start.clone().add(outpoint, 'seconds').format(Ipcamsd.timeFormat) })
+        };
+    }
+
+    /**
+     * Gets filename suffix with record types if enabled by settings.
+     * 
+     * @param {Array} records Array with names of records.
+     * @returns String with record types suffix.
+     */
+    #getRecordTypesSuffix(records) {
+        const types = this.settings.fs.recordType ? this.#getDistinctRecordTypes(records) : [];
+
+        return types.length ? `_${types.join('-')}` : '';
+    }
+
+    /**
+     * Gets filename prefix by custom user value, host and channel.
+     * 
+     * @param {number} channel The channel of records.
      * @returns String with host optional filename prefix.
      */
-    #getFilenamePrefix() {
+    #getFilenamePrefix(channel) {
         let prefix = this.settings.fs.prefix;
         let sep = '_';
 
-        return (prefix ? prefix + sep : '') + this.host + sep;
+        return (prefix ? prefix + sep : '') + this.host + sep
+            + (channel != null ? this.#getChannelDirectory(channel) + sep : '');
     }
 
     /**
@@ -520,4 +2044,11 @@ export default class Base {
 
         return dateTime.startDelay ? dateTime.startDelay * 60000 : 0;
     }
+
+    /**
+     * Waits start delay of fetch.
+     */
+    #waitForStartDelay = () => new Promise(resolve =>
+        setTimeout(resolve, this.#calculateStartDelayInMs())
+    );
 }
@@ -0,0 +1,278 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import path from 'path';
+import moment from 'moment';
+import Base from './base.mjs';
+import Ipcamsd from '../ipcamsd.mjs';
+import { IpcamsdError } from '../errors.mjs';
+
+export default class Dahua extends Base {
+
+    /**
+     * Number of months to search for recordings if no date is specified.
+     */
+    static searchMonths = 12;
+
+    /**
+     * Number of files requested per page of search results.
+     */
+    static pageSize = 100;
+
+    /**
+     * Default channel of recordings.
+     */
+    static defaultChannel = 1;
+
+    /**
+     * Object with stream types and their values of search condition.
+     */
+    static streams = { main: 'Main', sub: 'Extra1' };
+
+    /**
+     * Format of date and time values of API.
+     */
+    static dateTimeFormat = 'YYYY-MM-DD HH:mm:ss';
+
+    /**
+     * Map object with collection of record names and their file paths.
+     */
+    filePaths = new Map();
+
+    /**
+     * Gets records of @see Dahua IP camera.
+     *
+     * @param {object} dateTime Object with date and times values.
+     * @returns Array of records.
+     */
+    async getRecords(dateTime) {
+        const dates = [];
+        const { start, end } = this.getSearchRange(dateTime, Dahua.searchMonths);
+
+        for (const channel of await this.#getChannels()) {
+            const items = await this.#findFiles(channel, start, end);
+
+            this.#addDates(dates, items, channel);
+        }
+
+        return dates;
+    }
+
+    /**
+     * Downloads record files of @see Dahua IP camera.
+     *
+     * @param {object} dateObj Object with date and records.
+     * @param {string} tmpDir The temporary directory of this instance.
+     */
+    async downloadRecordFiles(dateObj, dateTmpDir) {
+        for (const record of dateObj.records) {
+            const filePath = this.filePaths.get(record);
+
+            if (filePath) {
+                await this.httpContentToFileStream(
+                    `${this.baseUrl}/RPC_Loadfile${filePath}`,
+                    path.join(dateTmpDir, record)
+                );
+            }
+        }
+    }
+
+    /**
+     * Extracts date or time part from @see string value.
+     *
+     * @param {string} date The date value to extract.
+     * @param {string} part The part to extract from date.
+     * @param {boolean} start Contains whether to extract start part.
+     * @returns String with date part value.
+     */
+    extractDatePartValue(date, part, start) {
+        const parts = path.parse(date || '').name.split('_');
+
+        if (parts.length > 3) {
+            switch (part || 'date') {
+                case 'date':
+                    return parts[1].slice(-6);
+                case 'time':
+                    return start ? parts[2] : parts[3];
+            }
+        }
+    }
+
+    /**
+     * Probes whether host is @see Dahua IP camera.
+     *
+     * @param {object} settings Object with HTTP settings of @see Ipcamsd instance.
+     * @returns Whether host is detected.
+     */
+    async probe(settings) {
+        this.settings = settings;
+
+        const body = await this.httpProbeRequest(`${this.baseUrl}/magicBox.cgi?action=getDeviceType`);
+
+        return typeof body === 'string' && /^type=/m.test(body);
+    }
+
+    /**
+     * Sets global @see string with base URL of @see Dahua class.
+     */
+    setBaseUrl() {
+        this.baseUrl = `http${this.auth.ssl ? 's' : ''}://${this.host}/cgi-bin`;
+    }
+
+    /**
+     * Gets @see Array with channels to search by source of recordings.
+     *
+     * @returns Array of channel numbers.
+     */
+    async #getChannels() {
+        const { channel } = this.source;
+
+        if (channel === 'all') {
+            const values = await this.#requestValues('devVideoInput.cgi', { action: 'getCollect' });
+            const count = parseInt(values?.result) || 0;
+
+            return Array.from({ length: count }, (_, idx) => idx + 1);
+        }
+
+        return channel?.length ? channel : [Dahua.defaultChannel];
+    }
+
+    /**
+     * Finds files of channel by pages of search results.
+     *
+     * A search object of the camera is created and destroyed per search.
+     *
+     * @param {number} channel The channel of records.
+     * @param {object} start The start moment of search.
+     * @param {object} end The end moment of search.
+     * @returns Array of items with start, end and file path.
+     */
+    async #findFiles(channel, start, end) {
+        const items = [];
+
+        const created = await this.#requestMediaFileFind({ action: 'factory.create' });
+        const object = created?.result;
+
+        if (!object) {
+            throw new IpcamsdError('Search of media files could not be created');
+        }
+
+        try {
+            const found = await this.#requestMediaFileFind({
+                action: 'findFile',
+                object,
+                'condition.Channel': channel,
+                'condition.StartTime': start.format(Dahua.dateTimeFormat),
+                'condition.EndTime': end.format(Dahua.dateTimeFormat),
+                'condition.VideoStream': Dahua.streams[this.source.stream] || Dahua.streams.main
+            });
+
+            if (found) {
+                for (;;) {
+                    const values = await this.#requestMediaFileFind({
+                        action: 'findNextFile',
+                        object,
+                        count: Dahua.pageSize
+                    });
+
+                    const count = parseInt(values?.found) || 0;
+
+                    for (let i = 0; i < count; i++) {
+                        const prefix = `items[${i}].`;
+
+                        items.push({
+                            channel,
+                            start: values[`${prefix}StartTime`],
+                            end: values[`${prefix}EndTime`],
+                            filePath: values[`${prefix}FilePath`]
+                        });
+                    }
+
+                    if (count < Dahua.pageSize) {
+                        break;
+                    }
+                }
+            }
+        } finally {
+            await this.#requestMediaFileFind({ action: 'close', object }).catch(() => { });
+            await this.#requestMediaFileFind({ action: 'destroy', object }).catch(() => { });
+        }
+
+        return items;
+    }
+
+    /**
+     * Adds records of found items to @see Array of dates.
+     *
+     * @param {Array} dates Array with date values.
+     * @param {Array} items Array of items with start, end and file path.
+     * @param {number} channel The channel of records.
+     */
+    #addDates(dates, items, channel) {
+        const records = items
+            .filter(item => item.start && item.end && item.filePath)
+            .map(item => {
+                const start = moment(item.start, Dahua.dateTimeFormat);
+                const end = moment(item.end, Dahua.dateTimeFormat);
+                const name = [
+                    item.channel,
+                    start.format(Ipcamsd.dateFormat),
+                    start.format(Ipcamsd.timeFormat),
+                    end.format(Ipcamsd.timeFormat)
+                ].join('_') + path.extname(item.filePath);
+
+                this.filePaths.set(name, item.filePath);
+
+                return { name, start };
+            });
+
+        this.addRecordDates(dates, records, channel);
+    }
+
+    /**
+     * Requests action of media file finder by parameters.
+     *
+     * @param {object} params Object with query parameters of action.
+     * @returns Object with response values.
+     */
+    #requestMediaFileFind(params) {
+        return this.#requestValues('mediaFileFind.cgi', params);
+    }
+
+    /**
+     * Requests CGI of @see Dahua IP camera and parses response values.
+     *
+     * @param {string} cgi The name of CGI.
+     * @param {object} params Object with query parameters.
+     * @returns Object with response values.
+     */
+    async #requestValues(cgi, params) {
+        const query = Object.entries(params)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+
+        const body = await this.httpContentRequest(`${this.baseUrl}/${cgi}?${query}`);
+
+        return body != null ? this.#parseValues(body) : undefined;
+    }
+
+    /**
+     * Parses lines with key and value pairs of response.
+     *
+     * @param {string} body The response body to parse.
+     * @returns Object with response values.
+     */
+    #parseValues(body) {
+        const values = {};
+
+        for (const line of String(body).split(/\r?\n/)) {
+            const idx = line.indexOf('=');
+
+            if (idx > 0) {
+                values[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+            }
+        }
+
+        return values;
+    }
+}
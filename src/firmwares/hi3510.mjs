@@ -67,8 +67,9 @@ export default class Hi3510 extends Base {
                 let fileUrl = parentUrl + record;
                 let localFile = path.join(dateTmpDir, record);
 
-                await this.httpContentToFileStream(fileUrl, localFile);
-                await this.convertRecordFile(localFile);
+                if (await this.httpContentToFileStream(fileUrl, localFile)) {
+                    await this.convertRecordFile(localFile);
+                }
             }
         }
     }
@@ -105,6 +106,20 @@ export default class Hi3510 extends Base {
         }
     }
 
+    /**
+     * Probes whether host is @see Hi3510 IP camera.
+     *
+     * @param {object} settings Object with HTTP settings of @see Ipcamsd instance.
+     * @returns Whether host is detected.
+     */
+    async probe(settings) {
+        this.settings = settings;
+
+        const body = await this.httpProbeRequest(`${this.baseUrl}/`);
+
+        return typeof body === 'string' && /<table/i.test(body) && /\d{8}\//.test(body);
+    }
+
     /**
      * Sets global @see string with base URL of @see Hi3510 class.
      */
@@ -0,0 +1,312 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import path from 'path';
+import * as Cheerio from 'cheerio';
+import moment from 'moment';
+import Base from './base.mjs';
+import Ipcamsd from '../ipcamsd.mjs';
+
+export default class Hikvision extends Base {
+
+    /**
+     * Number of months to search for recordings if no date is specified.
+     */
+    static searchMonths = 12;
+
+    /**
+     * Maximum number of search results per request.
+     */
+    static maxResults = 50;
+
+    /**
+     * Default channel of recordings.
+     */
+    static defaultChannel = 1;
+
+    /**
+     * Object with stream types and their track suffixes.
+     */
+    static streams = { main: 1, sub: 2 };
+
+    /**
+     * Format of date and time values of ISAPI.
+     */
+    static dateTimeFormat = 'YYYY-MM-DDTHH:mm:ss';
+
+    /**
+     * Object with headers of XML requests.
+     */
+    static xmlHeaders = { 'Content-Type': 'application/xml' };
+
+    /**
+     * Map object with collection of record names and their playback URIs.
+     */
+    playbackUris = new Map();
+
+    /**
+     * Gets records of @see Hikvision IP camera.
+     *
+     * @param {object} dateTime Object with date and times values.
+     * @returns Array of records.
+     */
+    async getRecords(dateTime) {
+        const dates = [];
+        const { start, end } = this.getSearchRange(dateTime, Hikvision.searchMonths);
+
+        for (const channel of await this.#getChannels()) {
+            const items = await this.#searchRecords(channel, start, end);
+
+            this.#addDates(dates, items, channel);
+        }
+
+        return dates;
+    }
+
+    /**
+     * Downloads record files of @see Hikvision IP camera.
+     *
+     * @param {object} dateObj Object with date and records.
+     * @param {string} tmpDir The temporary directory of this instance.
+     */
+    async downloadRecordFiles(dateObj, dateTmpDir) {
+        for (const record of dateObj.records) {
+            const playbackUri = this.playbackUris.get(record);
+
+            if (playbackUri) {
+                await this.httpContentToFileStream(
+                    `${this.baseUrl}/ContentMgmt/download`,
+                    path.join(dateTmpDir, record),
+                    {
+                        method: 'GET',
+                        data: this.#getDownloadRequest(playbackUri),
+                        headers: Hikvision.xmlHeaders
+                    }
+                );
+            }
+        }
+    }
+
+    /**
+     * Extracts date or time part from @see string value.
+     *
+     * @param {string} date The date value to extract.
+     * @param {string} part The part to extract from date.
+     * @param {boolean} start Contains whether to extract start part.
+     * @returns String with date part value.
+     */
+    extractDatePartValue(date, part, start) {
+        const parts = path.parse(date || '').name.split('_');
+
+        if (parts.length > 3) {
+            switch (part || 'date') {
+                case 'date':
+                    return parts[1].slice(-6);
+                case 'time':
+                    return start ? parts[2] : parts[3];
+            }
+        }
+    }
+
+    /**
+     * Probes whether host is @see Hikvision IP camera.
+     *
+     * @param {object} settings Object with HTTP settings of @see Ipcamsd instance.
+     * @returns Whether host is detected.
+     */
+    async probe(settings) {
+        this.settings = settings;
+
+        const body = await this.httpProbeRequest(`${this.baseUrl}/System/deviceInfo`);
+
+        return typeof body === 'string' && /<DeviceInfo[\s>]/.test(body);
+    }
+
+    /**
+     * Sets global @see string with base URL of @see Hikvision class.
+     */
+    setBaseUrl() {
+        this.baseUrl = `http${this.auth.ssl ? 's' : ''}://${this.host}/ISAPI`;
+    }
+
+    /**
+     * Gets @see Array with channels to search by source of recordings.
+     *
+     * @returns Array of channel numbers.
+     */
+    async #getChannels() {
+        const { channel } = this.source;
+
+        if (channel === 'all') {
+            const body = await this.httpContentRequest(`${this.baseUrl}/ContentMgmt/record/tracks`);
+            const channels = new Set();
+
+            if (body) {
+                const $ = Cheerio.load(body, { xml: true });
+
+                $('Track > id').toArray().forEach(id => {
+                    channels.add(Math.floor(parseInt($(id).text()) / 100));
+                });
+            }
+
+            return [...channels].filter(value => value > 0).sort((a, b) => a - b);
+        }
+
+        return channel?.length ? channel : [Hikvision.defaultChannel];
+    }
+
+    /**
+     * Searches recordings of channel by pages of search results.
+     *
+     * @param {number} channel The channel of records.
+     * @param {object} start The start moment of search.
+     * @param {object} end The end moment of search.
+     * @returns Array of search items with start, end and playback URI.
+     */
+    async #searchRecords(channel, start, end) {
+        const items = [];
+        const searchId = crypto.randomUUID();
+        const trackId = this.#getTrackId(channel);
+
+        let position = 0;
+
+        for (;;) {
+            const body = await this.httpContentRequest(
+                `${this.baseUrl}/ContentMgmt/search`,
+                'POST',
+                this.#getSearchDescription(searchId, trackId, start, end, position),
+                Hikvision.xmlHeaders
+            );
+
+            if (!body) {
+                break;
+            }
+
+            const $ = Cheerio.load(body, { xml: true });
+            const matches = $('searchMatchItem').toArray();
+
+            for (const match of matches) {
+                const item = $(match);
+
+                items.push({
+                    trackId,
+                    start: item.find('timeSpan > startTime').text(),
+                    end: item.find('timeSpan > endTime').text(),
+                    playbackUri: item.find('playbackURI').text()
+                });
+            }
+
+            position += matches.length;
+
+            if ($('responseStatusStrg').text() !== 'MORE' || !matches.length) {
+                break;
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Adds records of search items to @see Array of dates.
+     *
+     * @param {Array} dates Array with date values.
+     * @param {Array} items Array of search items with start, end and playback URI.
+     * @param {number} channel The channel of records.
+     */
+    #addDates(dates, items, channel) {
+        const records = items.map(item => {
+            const start = this.#parseTime(item.start);
+            const end = this.#parseTime(item.end);
+            const name = [
+                item.trackId,
+                start.format(Ipcamsd.dateFormat),
+                start.format(Ipcamsd.timeFormat),
+                end.format(Ipcamsd.timeFormat)
+            ].join('_') + '.mp4';
+
+            this.playbackUris.set(name, item.playbackUri);
+
+            return { name, start };
+        });
+
+        this.addRecordDates(dates, records, channel);
+    }
+
+    /**
+     * Parses date and time value of ISAPI as wall-clock time of the camera.
+     *
+     * @param {string} value The date and time value to parse.
+     * @returns Moment with date and time.
+     */
+    #parseTime(value) {
+        return moment(moment.parseZone(value).format(Hikvision.dateTimeFormat), Hikvision.dateTimeFormat);
+    }
+
+    /**
+     * Gets track identifier by channel and stream type.
+     *
+     * @param {number} channel The channel of records.
+     * @returns Number with track identifier.
+     */
+    #getTrackId(channel) {
+        const stream = Hikvision.streams[this.source.stream] || Hikvision.streams.main;
+
+        return channel * 100 + stream;
+    }
+
+    /**
+     * Gets XML search description of ISAPI by parameters.
+     *
+     * @param {string} searchId The identifier of search.
+     * @param {number} trackId The identifier of track.
+     * @param {object} start The start moment of search.
+     * @param {object} end The end moment of search.
+     * @param {number} position The position of first search result.
+     * @returns String with XML search description.
+     */
+    #getSearchDescription(searchId, trackId, start, end, position) {
+        return '<?xml version="1.0" encoding="UTF-8"?>'
+            + '<CMSearchDescription>'
+            + `<searchID>${searchId}</searchID>`
+            + `<trackList><trackID>${trackId}</trackID></trackList>`
+            + '<timeSpanList><timeSpan>'
+            + `<startTime>${this.#formatTime(start)}</startTime>`
+            + `<endTime>${this.#formatTime(end)}</endTime>`
+            + '</timeSpan></timeSpanList>'
+            + `<maxResults>${Hikvision.maxResults}</maxResults>`
+            + `<searchResultPostion>${position}</searchResultPostion>`
+            + '<metadataList><metadataDescriptor>//recordType.meta.std-cgi.com</metadataDescriptor></metadataList>'
+            + '</CMSearchDescription>';
+    }
+
+    /**
+     * Gets XML download request of ISAPI by playback URI.
+     *
+     * @param {string} playbackUri The playback URI of record.
+     * @returns String with XML download request.
+     */
+    #getDownloadRequest(playbackUri) {
+        return '<?xml version="1.0" encoding="UTF-8"?>'
+            + `<downloadRequest><playbackURI>${this.#escapeXml(playbackUri)}</playbackURI></downloadRequest>`;
+    }
+
+    /**
+     * Formats moment as wall-clock time of ISAPI.
+     *
+     * @param {object} value The moment to format.
+     * @returns String with formatted date and time.
+     */
+    #formatTime = (value) => `${value.format(Hikvision.dateTimeFormat)}Z`;
+
+    /**
+     * Escapes special characters of XML content.
+     *
+     * @param {string} value The value to escape.
+     * @returns String with escaped value.
+     */
+    #escapeXml = (value) => value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,572 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import path from 'path';
+import * as Cheerio from 'cheerio';
+import moment from 'moment';
+import Base from './base.mjs';
+import Ipcamsd from '../ipcamsd.mjs';
+import { logError } from '../log.mjs';
+
+export default class Onvif extends Base {
+
+    /**
+     * Maximum number of search results per request.
+     */
+    static maxResults = 50;
+
+    /**
+     * Default channel of recordings (index of recording starting at 1).
+     */
+    static defaultChannel = 1;
+
+    /**
+     * Object with namespaces of ONVIF services.
+     */
+    static namespaces = {
+        device: 'http://www.onvif.org/ver10/device/wsdl',
+        search: 'http://www.onvif.org/ver10/search/wsdl',
+        replay: 'http://www.onvif.org/ver10/replay/wsdl',
+        schema: 'http://www.onvif.org/ver10/schema'
+    };
+
+    /**
+     * Object with default paths of ONVIF services.
+     */
+    static servicePaths = {
+        device: '/onvif/device_service',
+        search: '/onvif/search_service',
+        replay: '/onvif/replay_service'
+    };
+
+    /**
+     * Object with headers of SOAP requests.
+     */
+    static soapHeaders = { 'Content-Type': 'application/soap+xml; charset=utf-8' };
+
+    /**
+     * Headers of RTSP requests to replay recordings as fast as possible.
+     *
+     * FFmpeg has no option for custom RTSP headers. The headers are appended to the
+     * User-Agent header and must not contain spaces.
+     */
+    static replayHeaders = ['Require:onvif-replay', 'Rate-Control:no'];
+
+    /**
+     * Topic of events with data presence of recording tracks.
+     */
+    static trackStateTopic = 'RecordingHistory/Track/State';
+
+    /**
+     * Object with URLs of ONVIF services.
+     */
+    services = null;
+
+    /**
+     * Map object with collection of record names and their replay segments.
+     */
+    segments = new Map();
+
+    /**
+     * Gets records of @see Onvif IP camera.
+     *
+     * Records are the spans with data of video tracks within the searched time window
+     * or within the whole time range of recordings if no date is specified. Spans are
+     * found by data presence events and split per day.
+     *
+     * @param {object} dateTime Object with date and times values.
+     * @returns Array of records.
+     */
+    async getRecords(dateTime) {
+        const dates = [];
+        const range = dateTime.date ? this.getSearchRange(dateTime) : null;
+        const recordings = await this.#findRecordings();
+
+        for (const channel of this.#getChannels(recordings)) {
+            const recording = recordings[channel - 1];
+
+            if (recording) {
+                const start = range ? moment.max(range.start, recording.earliest) : recording.earliest;
+                const end = range ? moment.min(range.end, recording.latest) : recording.latest;
+
+                if (start.isBefore(end)) {
+                    const spans = await this.#findDataSpans(recording, start, end);
+
+                    this.#addDates(dates, recording, spans, channel);
+                }
+            }
+        }
+
+        return dates;
+    }
+
+    /**
+     * Downloads record files of @see Onvif IP camera by replay stream.
+     *
+     * @param {object} dateObj Object with date and records.
+     * @param {string} tmpDir The temporary directory of this instance.
+     */
+    async downloadRecordFiles(dateObj, dateTmpDir) {
+        for (const record of dateObj.records) {
+            const segment = this.segments.get(record);
+
+            if (segment) {
+                const uri = await this.#getReplayUri(segment.recording);
+
+                if (uri) {
+                    await this.streamToFile(uri, path.join(dateTmpDir, record), {
+                        inputOptions: [
+                            '-rtsp_transport tcp',
+                            '-user_agent', ['ipcamsd', ...Onvif.replayHeaders].join('\r\n'),
+                            `-ss ${segment.offset}`
+                        ],
+                        duration: segment.duration
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Extracts date or time part from @see string value.
+     *
+     * @param {string} date The date value to extract.
+     * @param {string} part The part to extract from date.
+     * @param {boolean} start Contains whether to extract start part.
+     * @returns String with date part value.
+     */
+    extractDatePartValue(date, part, start) {
+        const parts = path.parse(date || '').name.split('_');
+
+        if (parts.length > 3) {
+            switch (part || 'date') {
+                case 'date':
+                    return parts[1].slice(-6);
+                case 'time':
+                    return start ? parts[2] : parts[3];
+            }
+        }
+    }
+
+    /**
+     * Probes whether host is @see Onvif IP camera.
+     *
+     * @param {object} settings Object with HTTP settings of @see Ipcamsd instance.
+     * @returns Whether host is detected.
+     */
+    async probe(settings) {
+        this.settings = settings;
+
+        const body = await this.httpProbeRequest(
+            this.baseUrl + Onvif.servicePaths.device,
+            'POST',
+            this.#getEnvelope(`<GetSystemDateAndTime xmlns="${Onvif.namespaces.device}"/>`),
+            Onvif.soapHeaders
+        );
+
+        return typeof body === 'string' && body.includes('GetSystemDateAndTimeResponse');
+    }
+
+    /**
+     * Sets global @see string with base URL of @see Onvif class.
+     */
+    setBaseUrl() {
+        this.baseUrl = `http${this.auth.ssl ? 's' : ''}://${this.host}`;
+    }
+
+    /**
+     * Gets @see Array with channels to search by source of recordings.
+     *
+     * @param {Array} recordings Array of recording information.
+     * @returns Array of channel numbers.
+     */
+    #getChannels(recordings) {
+        const { channel } = this.source;
+
+        if (channel === 'all') {
+            return recordings.map((_, idx) => idx + 1);
+        }
+
+        return channel?.length ? channel : [Onvif.defaultChannel];
+    }
+
+    /**
+     * Adds segments of spans with data of recording to @see Array of dates.
+     *
+     * Spans are split into segments per day.
+     *
+     * @param {Array} dates Array with date values.
+     * @param {object} recording Object with token, earliest and latest time of recording.
+     * @param {Array} spans Array with start and end moments of data.
+     * @param {number} channel The channel of records.
+     */
+    #addDates(dates, recording, spans, channel) {
+        const records = [];
+
+        for (const { start, end } of spans) {
+            for (let value = moment(start); value.isBefore(end); value = moment(value).add(1, 'd').startOf('day')) {
+                const segmentEnd = moment.min(moment(value).endOf('day'), end);
+                const name = [
+                    channel,
+                    value.format(Ipcamsd.dateFormat),
+                    value.format(Ipcamsd.timeFormat),
+                    segmentEnd.format(Ipcamsd.timeFormat)
+                ].join('_') + '.mp4';
+
+                this.segments.set(name, {
+                    recording: recording.token,
+                    offset: value.diff(recording.earliest, 's'),
+                    duration: Math.max(segmentEnd.diff(value, 's'), 1)
+                });
+
+                records.push({ name, start: value });
+            }
+        }
+
+        this.addRecordDates(dates, records, channel);
+    }
+
+    /**
+     * Finds spans with data of video tracks of recording by data presence events.
+     *
+     * The span of video tracks (DataFrom and DataTo) is used if the camera reports no
+     * data presence events.
+     *
+     * @param {object} recording Object with token, earliest and latest time and video tracks of recording.
+     * @param {object} start The start moment of search.
+     * @param {object} end The end moment of search.
+     * @returns Array with start and end moments of data.
+     */
+    async #findDataSpans(recording, start, end) {
+        const events = await this.#findDataEvents(recording, start, end);
+
+        if (!events.length) {
+            const from = moment.max(start, ...recording.tracks.map(track => track.from));
+            const to = moment.min(end, ...recording.tracks.map(track => track.to));
+
+            return from.isBefore(to) ? [{ start: from, end: to }] : [];
+        }
+
+        const spans = [];
+
+        let open = null;
+
+        events.forEach(({ time, present }, idx) => {
+            if (present && !open) {
+                open = moment.max(time, start);
+            } else if (!present && (open || idx === 0)) {
+                spans.push({ start: open || start, end: moment.min(time, end) });
+
+                open = null;
+            }
+        });
+
+        if (open) {
+            spans.push({ start: open, end });
+        }
+
+        return spans.filter(span => span.start.isBefore(span.end));
+    }
+
+    /**
+     * Finds data presence events of video tracks of recording by search service.
+     *
+     * @param {object} recording Object with token and video tracks of recording.
+     * @param {object} start The start moment of search.
+     * @param {object} end The end moment of search.
+     * @returns Array with sorted times and data presence of events.
+     */
+    async #findDataEvents(recording, start, end) {
+        const events = [];
+        const tracks = recording.tracks.map(track => track.token);
+
+        await this.#search(
+            `<FindEvents xmlns="${Onvif.namespaces.search}">`
+            + `<StartPoint>${start.toISOString()}</StartPoint>`
+            + `<EndPoint>${end.toISOString()}</EndPoint>`
+            + '<Scope>'
+            + `<IncludedRecordings xmlns="${Onvif.namespaces.schema}">${this.#escapeXml(recording.token)}</IncludedRecordings>`
+            + '</Scope>'
+            + '<SearchFilter/>'
+            + '<IncludeStartState>true</IncludeStartState>'
+            + `<MaxMatches>${Onvif.maxResults}</MaxMatches>`
+            + '<KeepAliveTime>PT10S</KeepAliveTime>'
+            + '</FindEvents>',
+            'GetEventSearchResults',
+            ($) => $('ResultList > Result').toArray().forEach(element => {
+                const item = $(element);
+                const track = item.children('TrackToken').text();
+                const value = item.find('SimpleItem[Name="IsDataPresent"]').attr('Value');
+
+                if (item.find('Topic').text().includes(Onvif.trackStateTopic)
+                    && value != null && (!tracks.length || !track || tracks.includes(track))) {
+                    events.push({ time: moment(item.children('Time').text()), present: value === 'true' });
+                }
+            })
+        );
+
+        return events.sort((a, b) => a.time.diff(b.time));
+    }
+
+    /**
+     * Finds recordings by search service of @see Onvif IP camera.
+     *
+     * @returns Array of recording information with token, earliest and latest time and video tracks.
+     */
+    async #findRecordings() {
+        const recordings = [];
+
+        await this.#search(
+            `<FindRecordings xmlns="${Onvif.namespaces.search}">`
+            + '<Scope/>'
+            + `<MaxMatches>${Onvif.maxResults}</MaxMatches>`
+            + '<KeepAliveTime>PT10S</KeepAliveTime>'
+            + '</FindRecordings>',
+            'GetRecordingSearchResults',
+            ($) => $('RecordingInformation').toArray().forEach(element => {
+                const item = $(element);
+                const earliest = item.children('EarliestRecording').text();
+                const latest = item.children('LatestRecording').text();
+
+                if (earliest && latest) {
+                    recordings.push({
+                        token: item.children('RecordingToken').text(),
+                        earliest: moment(earliest),
+                        latest: moment(latest),
+                        tracks: this.#getVideoTracks($, item)
+                    });
+                }
+            })
+        );
+
+        return recordings;
+    }
+
+    /**
+     * Gets video tracks with data of recording information.
+     *
+     * @param {function} $ The function to query response elements.
+     * @param {object} item The element of recording information.
+     * @returns Array with token and start and end moments of data of video tracks.
+     */
+    #getVideoTracks($, item) {
+        return item.children('Track').toArray()
+            .map(element => $(element))
+            .filter(track => track.children('TrackType').text() === 'Video')
+            .map(track => ({
+                token: track.children('TrackToken').text(),
+                from: moment(track.children('DataFrom').text()),
+                to: moment(track.children('DataTo').text())
+            }))
+            .filter(track => track.from.isValid() && track.to.isValid());
+    }
+
+    /**
+     * Runs search of search service and requests results until search is completed.
+     *
+     * @param {string} body The XML body of operation to start search.
+     * @param {string} operation The name of operation to get search results.
+     * @param {function} callback The function to handle search results.
+     */
+    async #search(body, operation, callback) {
+        const $ = await this.#requestSoap('search', body);
+
+        const searchToken = $?.('SearchToken').first().text();
+
+        if (!searchToken) {
+            return;
+        }
+
+        try {
+            for (;;) {
+                const result = await this.#requestSoap('search',
+                    `<${operation} xmlns="${Onvif.namespaces.search}">`
+                    + `<SearchToken>${this.#escapeXml(searchToken)}</SearchToken>`
+                    + `<MaxResults>${Onvif.maxResults}</MaxResults>`
+                    + '<WaitTime>PT5S</WaitTime>'
+                    + `</${operation}>`
+                );
+
+                if (!result) {
+                    break;
+                }
+
+                callback(result);
+
+                if (result('SearchState').text() === 'Completed') {
+                    break;
+                }
+            }
+        } finally {
+            await this.#requestSoap('search',
+                `<EndSearch xmlns="${Onvif.namespaces.search}">`
+                + `<SearchToken>${this.#escapeXml(searchToken)}</SearchToken>`
+                + '</EndSearch>'
+            ).catch(() => { });
+        }
+    }
+
+    /**
+     * Gets RTSP URI with credentials to replay recording.
+     *
+     * @param {string} recording The token of recording.
+     * @returns String with replay URI.
+     */
+    async #getReplayUri(recording) {
+        const $ = await this.#requestSoap('replay',
+            `<GetReplayUri xmlns="${Onvif.namespaces.replay}">`
+            + '<StreamSetup>'
+            + `<Stream xmlns="${Onvif.namespaces.schema}">RTP-Unicast</Stream>`
+            + `<Transport xmlns="${Onvif.namespaces.schema}"><Protocol>RTSP</Protocol></Transport>`
+            + '</StreamSetup>'
+            + `<RecordingToken>${this.#escapeXml(recording)}</RecordingToken>`
+            + '</GetReplayUri>'
+        );
+
+        const value = $?.('Uri').first().text();
+
+        if (!value) {
+            if ($) {
+                logError(`Replay URI of recording ${recording} not found`);
+            }
+
+            return;
+        }
+
+        const uri = new URL(value);
+        const { username, password } = this.auth;
+
+        if (username) {
+            uri.username = encodeURIComponent(username);
+            uri.password = encodeURIComponent(password || '');
+        }
+
+        return uri.toString();
+    }
+
+    /**
+     * Gets URLs of ONVIF services by device service of @see Onvif IP camera.
+     *
+     * Hosts of service addresses are replaced by host of instance.
+     *
+     * @returns Object with URLs of search and replay services.
+     */
+    async #getServices() {
+        if (!this.services) {
+            const { device, search, replay } = Onvif.servicePaths;
+
+            this.services = {
+                device: this.baseUrl + device,
+                search: this.baseUrl + search,
+                replay: this.baseUrl + replay
+            };
+
+            const $ = await this.#requestSoapUrl(this.services.device,
+                `<GetServices xmlns="${Onvif.namespaces.device}">`
+                + '<IncludeCapability>false</IncludeCapability>'
+                + '</GetServices>'
+            );
+
+            $?.('Service').toArray().forEach(element => {
+                const service = $(element);
+                const namespace = service.children('Namespace').text();
+                const address = service.children('XAddr').text();
+
+                const name = Object.keys(Onvif.namespaces)
+                    .find(key => Onvif.namespaces[key] === namespace);
+
+                if (name && address) {
+                    const { pathname, search } = new URL(address);
+
+                    this.services[name] = this.baseUrl + pathname + search;
+                }
+            });
+        }
+
+        return this.services;
+    }
+
+    /**
+     * Requests SOAP operation of ONVIF service.
+     *
+     * @param {string} service The name of ONVIF service.
+     * @param {string} body The XML body of SOAP operation.
+     * @returns Function to query response elements without namespace prefixes.
+     */
+    async #requestSoap(service, body) {
+        const services = await this.#getServices();
+
+        return this.#requestSoapUrl(services[service], body);
+    }
+
+    /**
+     * Requests SOAP operation by URL of ONVIF service.
+     *
+     * @param {string} url The URL of ONVIF service.
+     * @param {string} body The XML body of SOAP operation.
+     * @returns Function to query response elements without namespace prefixes.
+     */
+    async #requestSoapUrl(url, body) {
+        const response = await this.httpContentRequest(url, 'POST', this.#getEnvelope(body), Onvif.soapHeaders);
+
+        if (response) {
+            return Cheerio.load(String(response).replace(/<(\/?)[\w-]+:/g, '<$1'), { xml: true });
+        }
+    }
+
+    /**
+     * Gets SOAP envelope with WS-Security username token.
+     *
+     * @param {string} body The XML body of SOAP operation.
+     * @returns String with SOAP envelope.
+     */
+    #getEnvelope(body) {
+        return '<?xml version="1.0" encoding="UTF-8"?>'
+            + '<s:Envelope xmlns:s="http://www.w3.org/2003/05/soap-envelope">'
+            + `<s:Header>${this.#getSecurityHeader()}</s:Header>`
+            + `<s:Body>${body}</s:Body>`
+            + '</s:Envelope>';
+    }
+
+    /**
+     * Gets WS-Security header with password digest of username token.
+     *
+     * @returns String with security header or empty string without username.
+     */
+    #getSecurityHeader() {
+        const { username, password } = this.auth;
+
+        if (!username) {
+            return '';
+        }
+
+        const nonce = crypto.randomBytes(16);
+        const created = new Date().toISOString();
+        const digest = crypto.createHash('sha1')
+            .update(Buffer.concat([nonce, Buffer.from(created), Buffer.from(password || '')]))
+            .digest('base64');
+
+        const wsse = 'http://docs.oasis-open.org/wss/2004/01';
+
+        return `<Security s:mustUnderstand="1" xmlns="${wsse}/oasis-200401-wss-wssecurity-secext-1.0.xsd">`
+            + '<UsernameToken>'
+            + `<Username>${this.#escapeXml(username)}</Username>`
+            + `<Password Type="${wsse}/oasis-200401-wss-username-token-profile-1.0#PasswordDigest">${digest}</Password>`
+            + `<Nonce EncodingType="${wsse}/oasis-200401-wss-soap-message-security-1.0#Base64Binary">${nonce.toString('base64')}</Nonce>`
+            + `<Created xmlns="${wsse}/oasis-200401-wss-wssecurity-utility-1.0.xsd">${created}</Created>`
+            + '</UsernameToken>'
+            + '</Security>';
+    }
+
+    /**
+     * Escapes special characters of XML content.
+     *
+     * @param {string} value The value to escape.
+     * @returns String with escaped value.
+     */
+    #escapeXml = (value) => value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -5,28 +5,85 @@ import path from 'path';
 import moment from 'moment';
 import Base from './base.mjs';
 import Ipcamsd from '../ipcamsd.mjs';
+import { AuthenticationError } from '../errors.mjs';
 
 export default class Reolink extends Base {
 
     /**
-     * Lists records of IP camera.
+     * Number of months to search for days with recordings if no date is specified.
      */
-    list = async () => this.logNotSupported();
+    static statusMonths = 12;
+
+    /**
+     * Maximum number of seconds to renew token before its lease time expires.
+     * Tokens with short lease times are renewed after half of their lease time.
+     */
+    static tokenRenewalMargin = 60;
+
+    /**
+     * Response code of API if token is invalid or expired.
+     */
+    static invalidTokenCode = -6;
+
+    /**
+     * Object with record types of API and their names of @see Ipcamsd.
+     */
+    static recordTypes = {
+        timer: 'timer',
+        timing: 'timer',
+        motion: 'motion',
+        md: 'motion',
+        person: 'person',
+        people: 'person',
+        ai_people: 'person',
+        vehicle: 'vehicle',
+        ai_vehicle: 'vehicle',
+        animal: 'animal',
+        dog_cat: 'animal',
+        ai_dog_cat: 'animal'
+    };
+
+    /**
+     * Default channel and stream type of recordings.
+     */
+    static defaultChannel = 0;
+    static defaultStream = 'main';
+
+    /**
+     * Token of API session and time of expiry in milliseconds.
+     */
+    token = null;
+    tokenExpiry = 0;
 
     /**
      * Gets records of @see Reolink IP camera.
      * 
+     * Days with recordings are requested by status search if no date is specified.
+     * 
      * @param {object} dateTime Object with date and times values.
      * @returns Array of records.
      */
     async getRecords(dateTime) {
         let dates = [];
 
-        const { date, time } = dateTime;
+        for (const channel of await this.#getChannels()) {
+            await this.#getChannelRecords(dates, dateTime, channel);
+        }
 
-        if (date) {
-            const cmdUrl = this.#getCommandUrl('Search');
+        return dates;
+    }
+
+    /**
+     * Gets records of channel by date and time values.
+     * 
+     * @param {Array} dates Array with date values.
+     * @param {object} dateTime Object with date and times values.
+     * @param {number} channel The channel of records.
+     */
+    async #getChannelRecords(dates, dateTime, channel) {
+        const { date } = dateTime;
 
+        if (date) {
             const values = this.#getDateRange(date.start, date.end);
             const length = values.length;
     
@@ -35,15 +92,23 @@ export default class Reolink extends Base {
     
                 await this.#requestPlaybackList(
                     dates,
-                    time,
+                    dateTime.time,
                     value,
-                    cmdUrl,
-                    { idx: i, length }
+                    { idx: i, length, channel }
                 );
             }
-        }
+        } else {
+            const values = await this.#requestStatusDates(channel);
 
-        return dates;
+            for (const value of values) {
+                await this.#requestPlaybackList(
+                    dates,
+                    {},
+                    value,
+                    { idx: 0, length: 1, channel }
+                );
+            }
+        }
     }
 
     /**
@@ -55,7 +120,7 @@ export default class Reolink extends Base {
      async downloadRecordFiles(dateObj, dateTmpDir) {
         for (let record of dateObj.records) {
             let date = this.#formatDate(dateObj.date);
-            let fileUrl = this.#getCommandUrl(
+            let fileUrl = await this.#getCommandUrl(
                 'Playback',
                 `&source=Mp4Record/${date}/${record}&output=${record}`
             );
@@ -92,14 +157,124 @@ export default class Reolink extends Base {
         }
     }
 
+    /**
+     * Probes whether host is @see Reolink IP camera.
+     *
+     * @param {object} settings Object with HTTP settings of @see Ipcamsd instance.
+     * @returns Whether host is detected.
+     */
+    async probe(settings) {
+        this.settings = settings;
+
+        const result = await this.httpProbeRequest(`${this.baseUrl}?cmd=GetDevInfo`, 'POST', [{
+            'cmd': 'GetDevInfo',
+            'action': 0,
+            'param': {}
+        }]);
+
+        return Array.isArray(result) && result[0]?.cmd === 'GetDevInfo';
+    }
+
     /**
      * Sets global @see string with base URL of @see Reolink class.
      */
     setBaseUrl() {
+        this.baseUrl = `http${this.auth.ssl ? 's' : ''}://${this.host}/cgi-bin/api.cgi`;
+    }
+
+    /**
+     * Logs out of API session of @see Reolink IP camera.
+     */
+    async dispose() {
+        if (this.token) {
+            const url = `${this.baseUrl}?cmd=Logout&token=${this.token}`;
+
+            this.token = null;
+
+            await this.httpContentRequest(url, 'POST', [{ 'cmd': 'Logout', 'param': {} }]);
+        }
+    }
+
+    /**
+     * Gets token of API session and logs in if token is missing or expired.
+     * 
+     * @returns String with token.
+     */
+    async #getToken() {
+        if (!this.token || Date.now() >= this.tokenExpiry) {
+            await this.#login();
+        }
+
+        return this.token;
+    }
+
+    /**
+     * Logs in to API of @see Reolink IP camera and stores token of session.
+     */
+    async #login() {
         const { username, password } = this.auth;
-        const queryParams = `user=${username}&password=${password}`;
 
-        this.baseUrl = `http${this.auth.ssl ? 's' : ''}://${this.host}/cgi-bin/api.cgi?${queryParams}`;
+        this.token = null;
+
+        const result = await this.httpContentRequest(`${this.baseUrl}?cmd=Login`, 'POST', [{
+            'cmd': 'Login',
+            'param': {
+                'User': {
+                    'Version': '0',
+                    'userName': username,
+                    'password': password
+                }
+            }
+        }]);
+
+        const token = result?.[0]?.value?.Token;
+
+        if (token?.name) {
+            const leaseTime = token.leaseTime || 0;
+            const margin = Math.min(Reolink.tokenRenewalMargin, leaseTime / 2);
+
+            this.token = token.name;
+            this.tokenExpiry = Date.now() + (leaseTime - margin) * 1000;
+        } else {
+            throw new AuthenticationError(`Login failed${this.#getErrorDetail(result)}`);
+        }
+    }
+
+    /**
+     * Requests command of API with token and renews token once if it is invalid.
+     * 
+     * @param {string} command The command value.
+     * @param {Array} data Array of request data with parameters.
+     * @returns Array with result values of HTTP request.
+     */
+    async #requestCommand(command, data) {
+        let result;
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            result = await this.httpContentRequest(
+                await this.#getCommandUrl(command), 'POST', data
+            );
+
+            if (result?.[0]?.error?.rspCode !== Reolink.invalidTokenCode) {
+                return result;
+            }
+
+            this.token = null;
+        }
+
+        throw new AuthenticationError(`Token of ${command} rejected${this.#getErrorDetail(result)}`);
+    }
+
+    /**
+     * Gets @see string with error detail of API result.
+     * 
+     * @param {Array} result Array with result values of HTTP request.
+     * @returns String with error detail.
+     */
+    #getErrorDetail(result) {
+        const detail = result?.[0]?.error?.detail;
+
+        return detail ? `: ${detail}` : '';
     }
 
     /**
@@ -145,16 +320,46 @@ export default class Reolink extends Base {
         return dates;
     }
 
+    /**
+     * Requests days with recordings of @see Reolink IP camera by status search.
+     * 
+     * @param {number} channel The channel of records.
+     * @returns Array of dates.
+     */
+    async #requestStatusDates(channel) {
+        const dates = [];
+
+        const end = moment();
+        const start = moment(end).subtract(Reolink.statusMonths, 'months').startOf('month');
+
+        const data = this.#getSearchPostData(1, {
+            'StartTime': this.#getDateAndTime(start, '000000', { idx: 0, length: 1 }),
+            'EndTime': this.#getDateAndTime(end, '235959', { idx: 0, length: 1, end: true })
+        }, channel);
+
+        const result = await this.#requestCommand('Search', data);
+        const status = result?.[0]?.value?.SearchResult?.Status || [];
+
+        for (const { year, mon, table } of status) {
+            [...(table || '')].forEach((value, idx) => {
+                if (value === '1') {
+                    dates.push(moment({ year, month: mon - 1, date: idx + 1 }));
+                }
+            });
+        }
+
+        return dates.sort((a, b) => a.diff(b));
+    }
+
     /**
      * Requests plackback list of @see Reolink IP camera by parameters.
      * 
      * @param {Array} dates Array with date values.
      * @param {object} time Object with time values.
      * @param {date} value The date value.
-     * @param {string} cmdUrl The command URL.
      * @param {object} params Object with parameters to process.
      */
-    async #requestPlaybackList(dates, time, value, cmdUrl, params) {
+    async #requestPlaybackList(dates, time, value, params) {
         const data = this.#getPlaybackListPostData(
             value,
             time.start,
@@ -162,13 +367,14 @@ export default class Reolink extends Base {
             params
         );
 
-        const result = await this.httpContentRequest(cmdUrl, 'POST', data);
+        const result = await this.#requestCommand('Search', data);
 
         if (result) {
             this.#addDate(
                 dates,
                 value.format(Ipcamsd.dateFormat),
-                result
+                result,
+                params.channel
             );
         }
     }
@@ -179,31 +385,80 @@ export default class Reolink extends Base {
      * @param {Array} dates Array with date values.
      * @param {string} date The date value.
      * @param {Array} result Array with result values of HTTP request.
+     * @param {number} channel The channel of records.
      */
-    #addDate(dates, date, result) {
+    #addDate(dates, date, result, channel) {
         if (result) {
             const files = result[0]?.value?.SearchResult.File;
 
             if (files) {
                 dates.push({
                     date,
-                    records: files.map(file => 
-                        this.extractFilename(file.name)
-                    )
+                    records: files.map(file => {
+                        const name = this.extractFilename(file.name);
+
+                        this.recordTypes.set(name, this.#getRecordTypes(file));
+
+                        return name;
+                    }),
+                    ...(this.source.channel != null && { channel })
                 });
             }
         }
     }
 
     /**
-     * Gets @see string with command URL and query parameters.
+     * Gets @see Array with record types of file in search result.
+     * 
+     * Values of record type are comma-separated. The type of file is used as fallback
+     * if it contains a record type instead of stream type.
+     * 
+     * @param {object} file Object with values of file in search result.
+     * @returns Array with record types.
+     */
+    #getRecordTypes(file) {
+        const types = String(file.recordType ?? file.type ?? '')
+            .split(/[,|\s]+/)
+            .map(value => Reolink.recordTypes[value.toLowerCase()])
+            .filter(type => type);
+
+        return [...new Set(types)];
+    }
+
+    /**
+     * Gets @see Array with channels to search by source of recordings.
+     * 
+     * @returns Array of channel numbers.
+     */
+    async #getChannels() {
+        const { channel } = this.source;
+
+        if (channel === 'all') {
+            const result = await this.#requestCommand('GetChannelstatus', [{
+                'cmd': 'GetChannelstatus'
+            }]);
+
+            const status = result?.[0]?.value?.status || [];
+
+            return status
+                .filter(entry => entry.online !== 0)
+                .map(entry => entry.channel);
+        }
+
+        return channel?.length ? channel : [Reolink.defaultChannel];
+    }
+
+    /**
+     * Gets @see string with command URL, token and query parameters.
      * 
      * @param {string} command The command value.
      * @param {string} queryParams The command query parameters.
      * @returns String with command URL.
      */
-    #getCommandUrl(command, queryParams) {
-        return `${this.baseUrl}&cmd=${command}${queryParams || ''}`;
+    async #getCommandUrl(command, queryParams) {
+        const token = await this.#getToken();
+
+        return `${this.baseUrl}?cmd=${command}&token=${token}${queryParams || ''}`;
     }
 
     /**
@@ -265,20 +520,34 @@ export default class Reolink extends Base {
      * @returns Array of request data with parameters.
      */
     #getPlaybackListPostData(date, start, end, params) {
+        return this.#getSearchPostData(0, {
+            'StartTime': this.#getDateAndTime(
+                date, start, params
+            ),
+            'EndTime': this.#getDateAndTime(
+                date, end, { ...params, end: true }
+            )
+        }, params.channel);
+    }
+
+    /**
+     * Gets @see Array with search @see object by parameters.
+     * 
+     * @param {number} onlyStatus Contains whether to search days with recordings only.
+     * @param {object} range Object with start and end time of search.
+     * @param {number} channel The channel of records.
+     * @returns Array of request data with parameters.
+     */
+    #getSearchPostData(onlyStatus, range, channel) {
         return [{ 
             'cmd': 'Search',
             'action': 0,
             'param': {
                 'Search': {
-                    'channel': 0,
-                    'onlyStatus': 0,
-                    'streamType': 'main',
-                    'StartTime': this.#getDateAndTime(
-                        date, start, params
-                    ),
-                    'EndTime': this.#getDateAndTime(
-                        date, end, { ...params, end: true }
-                    )
+                    'channel': channel ?? Reolink.defaultChannel,
+                    'onlyStatus': onlyStatus,
+                    'streamType': this.source.stream || Reolink.defaultStream,
+                    ...range
                 }
             }
         }];
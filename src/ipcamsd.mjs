@@ -2,11 +2,34 @@
 // Licensed under the MIT license. See LICENSE in the project root for license information.
 
 import fs from 'fs';
+import { createRequire } from 'module';
 import path, { dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import chalk from 'chalk';
 import moment from 'moment';
-import log, { initStdout, logMessage } from './log.mjs';
+import Base from './firmwares/base.mjs';
+import log, {
+    initStdout,
+    logError,
+    setOutputMode,
+    runInContext,
+    getContextErrors,
+    emitEvent,
+    flushEvents
+} from './log.mjs';
+import loadProfiles, { getProfilesByHosts, normalizeProfile } from './profiles.mjs';
+import Watcher from './watcher.mjs';
+import Server from './server.mjs';
+import {
+    exitCodes,
+    IpcamsdError,
+    AuthenticationError,
+    HostUnreachableError,
+    NoRecordsError,
+    FfmpegError,
+    DiskFullError,
+    toIpcamsdError
+} from './errors.mjs';
 
 export default class Ipcamsd {
     
@@ -25,68 +48,423 @@ export default class Ipcamsd {
      */
     static defaultTargetFileType = 'mp4';
 
+    /**
+     * Default trim mode of merged output (copy, encode or none).
+     */
+    static defaultTrimMode = 'copy';
+
+    /**
+     * Supported trim modes of merged output (copy, encode or none).
+     */
+    static trimModes = ['copy', 'encode', 'none'];
+
+    /**
+     * Default frame rate of output with changed speed.
+     */
+    static defaultFrameRate = 25;
+
+    /**
+     * Supported modes of audio with changed speed (drop or atempo).
+     */
+    static audioModes = ['drop', 'atempo'];
+
+    /**
+     * Object with units of durations (e.g. timelapse interval) and their seconds.
+     */
+    static intervalUnits = { s: 1, m: 60, h: 3600 };
+
+    /**
+     * Object with units of sizes and their bytes.
+     */
+    static sizeUnits = { k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+    /**
+     * Default strftime format of timestamp overlay.
+     */
+    static defaultTimestampFormat = '%Y-%m-%d %H:%M:%S';
+
+    /**
+     * Default position of timestamp overlay.
+     */
+    static defaultTimestampPosition = 'bottom-right';
+
+    /**
+     * Default font size of timestamp overlay.
+     */
+    static defaultTimestampFontSize = 24;
+
+    /**
+     * Default minimum duration of gaps between records in seconds.
+     */
+    static defaultMinGap = 60;
+
+    /**
+     * Supported modes to fill gaps between records (none, black or card).
+     */
+    static gapFillModes = ['none', 'black', 'card'];
+
+    /**
+     * Supported types of records (e.g. of motion or AI detection) to filter.
+     */
+    static recordTypes = ['timer', 'motion', 'person', 'vehicle', 'animal'];
+
     /**
      * Default HTTP request timeout in milliseconds.
      */
     static defaultHttpRequestTimeout = 5000;
 
+    /**
+     * Default number of HTTP request retries.
+     */
+    static defaultHttpRetries = 3;
+
+    /**
+     * Default initial delay of HTTP request retries in milliseconds (doubled per retry).
+     */
+    static defaultHttpRetryDelay = 1000;
+
     /**
      * Initializes standard output (stdout).
      */
     static initStdOutput = () => initStdout();
 
     /**
-     * Processes command by firmwares and parameters.
+     * Loads camera profiles of JSON or YAML configuration file.
+     * 
+     * @param {string} file The path of configuration file.
+     * @param {Array} names Array with names of camera profiles to select.
+     * @returns Array with selected camera profiles.
+     */
+    static loadProfiles = (file, names) => loadProfiles(file, names);
+
+    /**
+     * Names of methods each firmware must implement.
+     */
+    static requiredFirmwareMethods = ['getRecords', 'downloadRecordFiles', 'extractDatePartValue'];
+
+    /**
+     * Name of firmware which is detected by probing the host.
+     */
+    static autoFirmware = 'auto';
+
+    /**
+     * Names of built-in firmwares by order of detection.
+     */
+    static builtInFirmwares = ['hi3510', 'reolink', 'hikvision', 'dahua', 'onvif'];
+
+    /**
+     * Map object with registered firmware names and classes.
+     */
+    static #firmwares = new Map();
+
+    /**
+     * Map object with hosts and names of detected firmwares.
+     */
+    static #detectedFirmwares = new Map();
+
+    /**
+     * Registers firmware class by name.
      * 
-     * @param {string} command The name of the command.
      * @param {string} name The name of the firmware.
-     * @param {object} auth Object with values to authenticate.
+     * @param {function} Firmware The firmware class extending @see Base.
+     */
+    static registerFirmware(name, Firmware) {
+        Ipcamsd.#validateFirmware(name, Firmware);
+
+        Ipcamsd.#firmwares.set(name.toLowerCase(), Firmware);
+    }
+
+    /**
+     * Validates whether firmware class extends @see Base and implements required methods.
+     * 
+     * @param {string} name The name of the firmware.
+     * @param {function} Firmware The firmware class to validate.
+     */
+    static #validateFirmware(name, Firmware) {
+        if (typeof Firmware !== 'function' || !(Firmware.prototype instanceof Base)) {
+            throw new TypeError(`Firmware ${name} must extend Base`);
+        }
+
+        const missing = Ipcamsd.requiredFirmwareMethods.filter(method =>
+            typeof Firmware.prototype[method] !== 'function'
+        );
+
+        if (missing.length) {
+            throw new TypeError(`Firmware ${name} must implement ${missing.join(', ')}`);
+        }
+    }
+
+    /**
+     * Processes command by camera profiles and parameters.
+     * 
+     * Camera profiles contain host, firmware, username, password, ssl, auth,
+     * channel, stream and optional fetch defaults (targetDirectory, filenamePrefix, videoFilter).
+     * Use @see Ipcamsd.processHosts for index-aligned arrays of hosts and authentication values.
+     * 
+     * Hosts are processed in parallel if options contain concurrency greater than 1.
+     * Human readable output is replaced by structured JSON or NDJSON events if options
+     * contain output json or ndjson.
+     * 
+     * Errors of hosts are caught and reported by status (success, partial or failed)
+     * and error of the result per host.
+     * 
+     * @param {string} command The name of the command.
+     * @param {Array} cameras Array with camera profiles.
      * @param {object} options Object with options for target process.
+     * @returns Array with results of hosts.
      */
-    async process(command, name, auth, options) {
+    async process(command, cameras, options) {
         command = command || 'fetch';
-        
+
+        const profiles = [].concat(cameras || []).map(profile => normalizeProfile(profile));
         const settings = this.#getSettings(command, options);
 
-        return this.#iterateHosts(command, name, auth, settings);
+        const concurrency = parseInt(options?.concurrency) || 1;
+
+        if (options?.output) {
+            setOutputMode(options.output);
+        }
+
+        const result = concurrency > 1
+            ? await this.#iterateHostsInParallel(command, profiles, settings, concurrency)
+            : await this.#iterateHosts(command, profiles, settings);
+
+        flushEvents();
+
+        return result;
     }
 
     /**
-     * Iterates hosts and processes by firmware.
+     * Processes command by firmware names and index-aligned arrays of hosts and authentication values.
+     * 
+     * This is the former signature of @see Ipcamsd.process. Hosts without value at their index
+     * use the last value of the array.
      * 
      * @param {string} command The name of the command.
-     * @param {name} name The name of the firmware.
-     * @param {object} auth Object with values to authenticate.
-     * @param {object} settings Object with settings for target process.
+     * @param {Array|string} name The names of the firmwares.
+     * @param {object} auth Object with hosts, usernames, passwords, ssls, auths, channels and streams.
+     * @param {object} options Object with options for target process.
+     * @returns Array with results of hosts.
      */
-    async #iterateHosts(command, name, auth, settings) {
-        const { hosts } = auth;
+    processHosts(command, name, auth, options) {
+        return this.process(command, getProfilesByHosts(auth?.hosts, {
+            firmware: name,
+            username: auth?.usernames,
+            password: auth?.passwords,
+            ssl: auth?.ssls,
+            auth: auth?.auths,
+            channel: auth?.channels,
+            stream: auth?.streams
+        }), options);
+    }
 
-        const result = [];
+    /**
+     * Validates options of command and throws error on invalid values.
+     * 
+     * @param {string} command The name of the command.
+     * @param {object} options Object with options for target process.
+     * @returns Object with validated settings.
+     */
+    validate(command, options) {
+        return this.#getSettings(command || 'fetch', options);
+    }
 
-        for (let i = 0; i < hosts.length; i++) {
-            const host = hosts[i];
+    /**
+     * Creates @see Watcher to process command by camera profiles on schedule.
+     * 
+     * Options contain interval in minutes or cron expression and state file with latest
+     * downloaded records per camera. Each cycle resumes after the end of these records.
+     * 
+     * @param {string} command The name of the command (fetch or sync).
+     * @param {Array} cameras Array with camera profiles.
+     * @param {object} options Object with options for target process and schedule.
+     * @returns Instance of @see Watcher.
+     */
+    watch(command, cameras, options) {
+        return new Watcher(this, command, cameras, options);
+    }
+
+    /**
+     * Creates @see Server with REST API to list recordings and fetch records of camera profiles.
+     * 
+     * Options contain port, bind address, target directory of fetched files and HTTP settings.
+     * 
+     * @param {Array} cameras Array with camera profiles.
+     * @param {object} options Object with options of server.
+     * @returns Instance of @see Server.
+     */
+    serve(cameras, options) {
+        return new Server(this, cameras, options);
+    }
 
+    /**
+     * Iterates camera profiles and processes by firmware.
+     * 
+     * @param {string} command The name of the command.
+     * @param {Array} profiles Array with camera profiles.
+     * @param {object} settings Object with settings for target process.
+     */
+    async #iterateHosts(command, profiles, settings) {
+        const result = [];
+
+        for (let i = 0; i < profiles.length; i++) {
             if (i > 0) log('');
-            log(host, chalk.green.bold);
 
-            const firmware = await this.#getFirmwareInstanceByName(
-                this.#getValueByIdx(name, i),
-                host,
-                this.#getObjectByIdx(auth, ['username', 'password', 'ssl'], i),
-                i
-            );
+            result.push(await this.#processHost(command, profiles[i], settings, i));
+        }
 
-            if (firmware) {
-                result.push(await firmware[command]?.(settings));
-            } else {
-                logMessage(`Firmware ${name} not found`);
+        return result;
+    }
+
+    /**
+     * Iterates camera profiles with bounded pool and processes by firmware in parallel.
+     * 
+     * @param {string} command The name of the command.
+     * @param {Array} profiles Array with camera profiles.
+     * @param {object} settings Object with settings for target process.
+     * @param {number} concurrency The maximum number of hosts processed in parallel.
+     * @returns Array with results ordered by host.
+     */
+    async #iterateHostsInParallel(command, profiles, settings, concurrency) {
+        const result = new Array(profiles.length);
+
+        let next = 0;
+
+        const worker = async () => {
+            while (next < profiles.length) {
+                const idx = next++;
+                const profile = profiles[idx];
+
+                result[idx] = await this.#processHost(command, profile, settings, idx, profile.name);
             }
-        }
+        };
+
+        const workers = Array.from(
+            { length: Math.min(concurrency, profiles.length) },
+            worker
+        );
+
+        await Promise.all(workers);
 
         return result;
     }
 
+    /**
+     * Processes command of camera profile in log context and emits result event.
+     * 
+     * @param {string} command The name of the command.
+     * @param {object} profile Object with values of camera profile.
+     * @param {object} settings Object with settings for target process.
+     * @param {number} idx Current index of host iteration.
+     * @param {string} prefix The optional prefix of log lines.
+     * @returns Object with status, result and errors of host.
+     */
+    #processHost(command, profile, settings, idx, prefix) {
+        return runInContext({ host: profile.host, prefix }, async () => {
+            const startTime = Date.now();
+
+            let result, last, error;
+
+            try {
+                ({ result, last } = await this.#runCommand(command, profile, settings, idx));
+            } catch (err) {
+                error = toIpcamsdError(err);
+
+                logError(error.message);
+            }
+
+            const errors = getContextErrors();
+
+            const hostResult = {
+                name: profile.name,
+                host: profile.host,
+                firmware: this.#getFirmwareName(profile),
+                command,
+                status: error ? 'failed' : errors.length ? 'partial' : 'success',
+                result,
+                ...(last && { last }),
+                ...(error && { error: error.toJSON() }),
+                errors,
+                duration: Date.now() - startTime
+            };
+
+            emitEvent('result', hostResult);
+
+            return hostResult;
+        });
+    }
+
+    /**
+     * Runs command of camera profile by firmware.
+     * 
+     * @param {string} command The name of the command.
+     * @param {object} profile Object with values of camera profile.
+     * @param {object} settings Object with settings for target process.
+     * @param {number} idx Current index of host iteration.
+     * @returns Object with result of command and latest downloaded record.
+     */
+    async #runCommand(command, profile, settings, idx) {
+        const { host, firmware: name, username, password, ssl, auth, channel, stream } = profile;
+
+        log(host, chalk.green.bold);
+
+        const firmware = await this.#getFirmwareInstanceByName(
+            name,
+            host,
+            { username, password, ssl, method: auth },
+            idx,
+            { channel, stream },
+            settings.http
+        );
+
+        if (!firmware) {
+            throw new IpcamsdError(`Firmware ${name} not found`);
+        }
+
+        try {
+            const result = await firmware[command]?.(
+                this.#getProfileSettings(settings, profile)
+            );
+
+            return { result, last: firmware.lastRecord };
+        } finally {
+            try {
+                await firmware.dispose?.();
+            } catch { }
+        }
+    }
+
+    /**
+     * Applies fetch defaults of camera profile to settings.
+     * 
+     * @param {object} settings Object with settings for target process.
+     * @param {object} profile Object with values of camera profile.
+     * @returns Object with settings of camera profile.
+     */
+    #getProfileSettings(settings, profile) {
+        const defaults = profile.fetch;
+
+        if (settings?.fs && defaults) {
+            const { fs, ffmpeg } = settings;
+
+            return {
+                ...settings,
+                fs: {
+                    ...fs,
+                    directory: fs.directory || defaults.targetDirectory,
+                    prefix: fs.prefix || defaults.filenamePrefix
+                },
+                ffmpeg: {
+                    ...ffmpeg,
+                    videoFilter: ffmpeg.videoFilter?.length
+                        ? ffmpeg.videoFilter : defaults.videoFilter
+                }
+            };
+        }
+
+        return settings;
+    }
+
     /**
      * Gets and validates @see object with settings of @see Ipcamsd instance.
      * 
@@ -95,17 +473,35 @@ export default class Ipcamsd {
      * @returns Object with validated settings.
      */
     #getSettings(command, options) {
-        if (command === 'fetch') {
+        options = options || {};
+
+        const http = {
+            timeout: options.timeout || Ipcamsd.defaultHttpRequestTimeout,
+            retries: options.retries ?? Ipcamsd.defaultHttpRetries,
+            retryDelay: options.retryDelay ?? Ipcamsd.defaultHttpRetryDelay
+        };
+
+        const recordTypes = this.#getRecordTypes(options.recordType);
+
+        if (command === 'fetch' || command === 'sync') {
             let settings = {
+                http,
+                recordTypes,
+                gaps: this.#getGapSettings(options),
                 fs: {
                     directory: options.targetDirectory,
                     prefix: options.filenamePrefix,
-                    name: options.filename
+                    name: options.filename,
+                    recordType: options.filenameRecordType,
+                    maxSize: this.#getMaxOutputSize(options.maxOutputSize)
                 },
                 ffmpeg: {
                     videoFilter: options.videoFilter,
                     targetFileType:
-                        options.targetFileType || Ipcamsd.defaultTargetFileType
+                        options.targetFileType || Ipcamsd.defaultTargetFileType,
+                    trim: this.#getTrimMode(options.trim),
+                    ...this.#getSpeedSettings(options),
+                    ...this.#getTimestampSettings(options)
                 },
                 dateTime: {
                     date: {
@@ -116,18 +512,223 @@ export default class Ipcamsd {
                         start: options.startTime,
                         end: options.endTime
                     },
-                    separateByDate: options.separateByDate,
+                    separateByDate: options.separateByDate || /^date$/i.test(options.separateBy || ''),
+                    separateBy: this.#getSeparation(options.separateBy),
                     lastMinutes: options.lastMinutes,
                     startDelay: options.startDelay
                 }
             };
 
+            if (command === 'sync') {
+                settings.sync = {
+                    directory: options.archiveDirectory,
+                    mergeByDate: options.mergeByDate
+                };
+            }
+
             settings.dateTime = this.#validateDateTime(
                 settings.dateTime
             );
 
             return settings;
         }
+
+        return { http, recordTypes };
+    }
+
+    /**
+     * Gets and validates trim mode of merged output.
+     * 
+     * @param {string} value The trim mode (copy, encode or none).
+     * @returns String with trim mode.
+     */
+    #getTrimMode(value) {
+        const trim = (value || Ipcamsd.defaultTrimMode).toLowerCase();
+
+        if (!Ipcamsd.trimModes.includes(trim)) {
+            throw new Error(`Trim ${value} is not supported`);
+        }
+
+        return trim;
+    }
+
+    /**
+     * Gets and validates @see object with speed, timelapse interval and audio mode.
+     * 
+     * @param {object} options Object with options for target process.
+     * @returns Object with speed settings of FFmpeg.
+     */
+    #getSpeedSettings(options) {
+        const { speed, timelapse, audio } = options;
+
+        if (speed == null && timelapse == null) {
+            return {};
+        } else if (speed != null && timelapse != null) {
+            throw new Error('Speed and timelapse cannot be combined');
+        }
+
+        const result = {
+            frameRate: Ipcamsd.defaultFrameRate,
+            audio: (audio || Ipcamsd.audioModes[0]).toLowerCase()
+        };
+
+        if (!Ipcamsd.audioModes.includes(result.audio)) {
+            throw new Error(`Audio ${audio} is not supported`);
+        }
+
+        if (speed != null) {
+            result.speed = parseFloat(speed);
+
+            if (!(result.speed > 0)) {
+                throw new Error(`Speed ${speed} is not supported`);
+            }
+        } else {
+            result.timelapse = this.#parseDuration(timelapse);
+
+            if (!result.timelapse) {
+                throw new Error(`Timelapse interval ${timelapse} is not supported`);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Gets and validates @see object with format, position and font of timestamp overlay.
+     * 
+     * @param {object} options Object with options for target process.
+     * @returns Object with timestamp settings of FFmpeg.
+     */
+    #getTimestampSettings(options) {
+        if (!options.timestampOverlay) {
+            return {};
+        }
+
+        const timestamp = {
+            format: options.timestampFormat || Ipcamsd.defaultTimestampFormat,
+            position: (options.timestampPosition || Ipcamsd.defaultTimestampPosition).toLowerCase(),
+            font: options.timestampFont,
+            fontSize: parseInt(options.timestampFontSize || Ipcamsd.defaultTimestampFontSize)
+        };
+
+        if (!Base.timestampPositions[timestamp.position]) {
+            throw new Error(`Timestamp position ${options.timestampPosition} is not supported`);
+        }
+
+        if (!(timestamp.fontSize > 0)) {
+            throw new Error(`Timestamp font size ${options.timestampFontSize} is not supported`);
+        }
+
+        return { timestamp };
+    }
+
+    /**
+     * Gets and validates @see object with minimum duration and fill mode of gaps between records.
+     * 
+     * @param {object} options Object with options for target process.
+     * @returns Object with gap settings.
+     */
+    #getGapSettings(options) {
+        const gaps = {
+            minDuration: options.minGap != null ? this.#parseDuration(options.minGap) : Ipcamsd.defaultMinGap,
+            fill: (options.fillGaps || Ipcamsd.gapFillModes[0]).toLowerCase()
+        };
+
+        if (!gaps.minDuration) {
+            throw new Error(`Minimum gap ${options.minGap} is not supported`);
+        }
+
+        if (!Ipcamsd.gapFillModes.includes(gaps.fill)) {
+            throw new Error(`Gap fill mode ${options.fillGaps} is not supported`);
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Gets and validates separation of output files besides dates.
+     * 
+     * @param {string} value The separation by hour, record or duration (e.g. 30m).
+     * @returns String with record, number with duration in seconds or undefined.
+     */
+    #getSeparation(value) {
+        if (value == null) {
+            return;
+        }
+
+        const separation = String(value).trim().toLowerCase();
+
+        if (separation === 'date') {
+            return;
+        } else if (separation === 'hour') {
+            return Ipcamsd.intervalUnits.h;
+        } else if (separation === 'record') {
+            return separation;
+        }
+
+        const duration = this.#parseDuration(separation);
+
+        if (!duration) {
+            throw new Error(`Separation ${value} is not supported`);
+        }
+
+        return duration;
+    }
+
+    /**
+     * Gets and validates maximum size of output files in bytes.
+     * 
+     * @param {string} value The maximum size with optional unit (e.g. 2G).
+     * @returns Number with bytes or undefined if size is not limited.
+     */
+    #getMaxOutputSize(value) {
+        if (value == null) {
+            return;
+        }
+
+        const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/i.exec(String(value).trim());
+        const size = match ? parseFloat(match[1]) * (Ipcamsd.sizeUnits[match[2].toLowerCase()] || 1) : 0;
+
+        if (!(size > 0)) {
+            throw new Error(`Maximum output size ${value} is not supported`);
+        }
+
+        return Math.floor(size);
+    }
+
+    /**
+     * Parses duration with optional unit (s, m or h) to seconds.
+     * 
+     * @param {string} value The duration to parse (e.g. 10s or 1m).
+     * @returns Number with seconds or undefined if duration is invalid.
+     */
+    #parseDuration(value) {
+        const match = /^(\d+(?:\.\d+)?)\s*([smh]?)$/i.exec(String(value).trim());
+
+        if (match && parseFloat(match[1]) > 0) {
+            return parseFloat(match[1]) * Ipcamsd.intervalUnits[(match[2] || 's').toLowerCase()];
+        }
+    }
+
+    /**
+     * Gets and validates @see Array with record types of comma-separated values.
+     * 
+     * @param {Array|string} value The record types to filter.
+     * @returns Array with record types.
+     */
+    #getRecordTypes(value) {
+        const types = [].concat(value || [])
+            .flatMap(item => String(item).split(','))
+            .map(item => item.trim().toLowerCase())
+            .filter(item => item);
+
+        for (const type of types) {
+            if (!Ipcamsd.recordTypes.includes(type)) {
+                throw new Error(`Record type ${type} is not supported`);
+            }
+        }
+
+        return types.length ? types : undefined;
     }
 
     /**
@@ -209,61 +810,156 @@ export default class Ipcamsd {
     /**
      * Gets firmware instance by parameters.
      * 
+     * Firmware of host is detected by probing if name is @see Ipcamsd.autoFirmware.
+     * 
      * @param {string} name The input name of the firmware.
      * @param {string} host The target host of IP camera.
      * @param {object} auth Object with values to authenticate.
      * @param {number} idx Current index of host iteration.
+     * @param {object} source Object with channel and stream of recordings.
+     * @param {object} http Object with HTTP settings to probe the host.
      * @returns Firmware instance.
      */
-    async #getFirmwareInstanceByName(name, host, auth, idx) {
-        name = name?.toLowerCase();
+    async #getFirmwareInstanceByName(name, host, auth, idx, source, http) {
+        if (name?.toLowerCase() === Ipcamsd.autoFirmware) {
+            name = await this.#detectFirmware(host, auth, idx, source, http);
+        }
 
         if (name) {
-            const filename = fileURLToPath(import.meta.url);
-            const directory = dirname(filename);
+            const Firmware = await this.#getFirmwareByName(name);
 
-            const modulePath = path.join('firmwares', `${name}.mjs`);
+            if (Firmware) {
+                log(`Firmware: ${name}`, chalk.green);
 
-            if (fs.existsSync(path.join(directory, modulePath))) {
-                const Firmware = await import(`./${modulePath}`);
+                return new Firmware(host, auth, idx, source);
+            }
+        }
+    }
 
-                if (Firmware) {
-                    log(`Firmware: ${name}`, chalk.green);
+    /**
+     * Detects firmware of host by probes of built-in and registered firmwares.
+     * 
+     * Detected firmwares are cached per host.
+     * 
+     * @param {string} host The target host of IP camera.
+     * @param {object} auth Object with values to authenticate.
+     * @param {number} idx Current index of host iteration.
+     * @param {object} source Object with channel and stream of recordings.
+     * @param {object} http Object with HTTP settings to probe the host.
+     * @returns String with name of detected firmware.
+     */
+    async #detectFirmware(host, auth, idx, source, http) {
+        if (!Ipcamsd.#detectedFirmwares.has(host)) {
+            const names = new Set([...Ipcamsd.builtInFirmwares, ...Ipcamsd.#firmwares.keys()]);
+
+            for (const name of names) {
+                const Firmware = await this.#getFirmwareByName(name);
 
-                    return new Firmware.default(host, auth, idx);
+                if (typeof Firmware?.prototype.probe === 'function') {
+                    const firmware = new Firmware(host, auth, idx, source);
+
+                    if (await firmware.probe({ http: { ...http, retries: 0 } })) {
+                        Ipcamsd.#detectedFirmwares.set(host, name);
+
+                        break;
+                    }
                 }
             }
+
+            if (!Ipcamsd.#detectedFirmwares.has(host)) {
+                throw new IpcamsdError(`Firmware of ${host} could not be detected`);
+            }
         }
+
+        return Ipcamsd.#detectedFirmwares.get(host);
     }
 
     /**
-     * Gets object of array by index.
+     * Gets name of firmware by camera profile and detected firmware of host.
      * 
-     * @param {object} obj Object with input values.
-     * @param {Array} names Array with field names to search.
-     * @param {number} idx The target index.
-     * @returns Object with values by names.
+     * @param {object} profile Object with values of camera profile.
+     * @returns String with name of firmware.
      */
-    #getObjectByIdx(obj, names, idx) {
-        const result = {};
+    #getFirmwareName(profile) {
+        const { host, firmware } = profile;
+
+        if (firmware?.toLowerCase() === Ipcamsd.autoFirmware) {
+            return Ipcamsd.#detectedFirmwares.get(host) || firmware;
+        }
 
-        for (let name of names) {
-            let value = this.#getValueByIdx(obj[`${name}s`], idx);
-            
-            if (value != null) {
-                result[name] = value;
+        return firmware;
+    }
+
+    /**
+     * Gets firmware class by registered name, built-in module, file path or npm package.
+     * 
+     * @param {string} name The input name of the firmware.
+     * @returns Firmware class.
+     */
+    async #getFirmwareByName(name) {
+        const key = name.toLowerCase();
+
+        if (Ipcamsd.#firmwares.has(key)) {
+            return Ipcamsd.#firmwares.get(key);
+        }
+
+        if (/^[\w-]+$/.test(key)) {
+            const filename = fileURLToPath(import.meta.url);
+            const directory = dirname(filename);
+
+            const modulePath = path.join('firmwares', `${key}.mjs`);
+
+            if (fs.existsSync(path.join(directory, modulePath))) {
+                const Firmware = await import(`./${modulePath}`);
+
+                return Firmware?.default;
             }
         }
 
-        return result;
+        const specifier = this.#resolveFirmwareModule(name);
+
+        if (specifier) {
+            const Firmware = (await import(specifier)).default;
+
+            Ipcamsd.registerFirmware(name, Firmware);
+
+            return Firmware;
+        }
     }
-    
+
     /**
-     * Gets value of array by index.
+     * Resolves module specifier of firmware plugin by file path or npm package name.
      * 
-     * @param {Array} arr Array with values.
-     * @param {number} idx The target index.
-     * @returns Any data of array by index.
+     * @param {string} name The file path or package name of the firmware plugin.
+     * @returns String with module specifier.
      */
-    #getValueByIdx = (arr, idx) => arr.length > idx ? arr[idx] : arr.slice(-1)[0];
+    #resolveFirmwareModule(name) {
+        const file = path.resolve(name);
+
+        if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+            return pathToFileURL(file).href;
+        }
+
+        for (const base of [process.cwd(), dirname(fileURLToPath(import.meta.url))]) {
+            try {
+                const require = createRequire(path.join(base, 'noop.js'));
+
+                return pathToFileURL(require.resolve(name)).href;
+            } catch { }
+        }
+    }
 }
+
+/**
+ * Exports base class of firmwares for plugins, error types and exit codes.
+ */
+export {
+    Base,
+    exitCodes,
+    IpcamsdError,
+    AuthenticationError,
+    HostUnreachableError,
+    NoRecordsError,
+    FfmpegError,
+    DiskFullError
+};
@@ -1,6 +1,7 @@
 // Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
 // Licensed under the MIT license. See LICENSE in the project root for license information.
 
+import { AsyncLocalStorage } from 'async_hooks';
 import chalk from 'chalk';
 
 /**
@@ -8,6 +9,26 @@ import chalk from 'chalk';
  */
 let stdout;
 
+/**
+ * Output mode of process (text, json or ndjson).
+ */
+let outputMode = 'text';
+
+/**
+ * Array with collected result events of json output mode.
+ */
+const results = [];
+
+/**
+ * Storage of log context (host, prefix, progress and errors) of processed host.
+ */
+const context = new AsyncLocalStorage();
+
+/**
+ * Set with listeners of emitted events.
+ */
+const listeners = new Set();
+
 /**
  * Initializes standard output (stdout).
  */
@@ -15,6 +36,22 @@ const initStdout = () => {
     stdout = process.stdout;
 };
 
+/**
+ * Sets output mode of process. Human readable output is suppressed in json and ndjson mode.
+ * 
+ * @param {string} mode The output mode (text, json or ndjson).
+ */
+const setOutputMode = (mode) => {
+    outputMode = mode || 'text';
+};
+
+/**
+ * Validates whether human readable output is enabled.
+ * 
+ * @returns Whether output mode is text.
+ */
+const isTextOutput = () => outputMode === 'text';
+
 /**
  * Prints content to stdout.
  * 
@@ -22,13 +59,81 @@ const initStdout = () => {
  * @param {function} style Function to style content print.
  */
 const log = (content, style) => {
-    if (stdout) {
+    if (stdout && isTextOutput()) {
+        const prefix = context.getStore()?.prefix;
+
         content = style?.(content) || content;
 
+        if (prefix) {
+            content = `${chalk.gray(`[${prefix}]`)} ${content}`;
+        }
+
         stdout.write(content + '\n');
     }
 };
 
+/**
+ * Runs callback in log context of host.
+ * 
+ * Log lines are prefixed and progress is printed line-based if context contains prefix.
+ * Values of the outer log context (e.g. job of server) are inherited.
+ * 
+ * @param {object} values Object with host and optional prefix of log lines.
+ * @param {function} callback Function to run in log context.
+ * @returns Result of callback.
+ */
+const runInContext = (values, callback) =>
+    context.run({ ...context.getStore(), ...values, errors: [] }, callback);
+
+/**
+ * Gets messages of errors printed in current log context.
+ * 
+ * @returns Array with error messages.
+ */
+const getContextErrors = () => context.getStore()?.errors || [];
+
+/**
+ * Emits event with structured data to stdout in ndjson mode or collects result events in json mode.
+ * 
+ * @param {string} type The type of event.
+ * @param {object} data Object with data of event.
+ */
+const emitEvent = (type, data) => {
+    const host = context.getStore()?.host;
+    const event = { type, ...(host && { host }), time: new Date().toISOString(), ...data };
+
+    listeners.forEach(listener => listener(event, context.getStore()));
+
+    if (outputMode === 'ndjson') {
+        stdout?.write(JSON.stringify(event) + '\n');
+    } else if (outputMode === 'json' && type === 'result') {
+        results.push(event);
+    }
+};
+
+/**
+ * Adds listener of emitted events. Listeners receive event and values of log context.
+ * 
+ * @param {function} listener Function to call with emitted events.
+ * @returns Function to remove listener.
+ */
+const onEvent = (listener) => {
+    listeners.add(listener);
+
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Prints collected result events as JSON array to stdout in json mode.
+ */
+const flushEvents = () => {
+    if (outputMode === 'json') {
+        stdout?.write(JSON.stringify(results, null, 2) + '\n');
+    }
+
+    results.length = 0;
+};
+
 /**
  * Prints message to stdout.
  * 
@@ -41,16 +146,46 @@ const logMessage = (content) => log(content, chalk.cyan);
  * 
  * @param {string} content The content to print to stdout.
  */
-const logError = (content) => logMessage(`Error: ${content}`);
+const logError = (content) => {
+    context.getStore()?.errors.push(content);
+
+    emitEvent('error', { message: content });
+
+    logMessage(`Error: ${content}`);
+};
+
+/**
+ * Prints warning to stdout.
+ * 
+ * @param {string} content The content to print to stdout.
+ */
+const logWarning = (content) => {
+    emitEvent('warning', { message: content });
+
+    log(`Warning: ${content}`, chalk.yellow);
+};
 
 /**
  * Prints progress name and value to stdout.
  * 
+ * Progress is printed line-based on progress end if stdout is no terminal.
+ * Listeners of events receive progress in all output modes.
+ * 
  * @param {string} name The name of progress to stdout.
  * @param {string} value The value of progress to stdout.
  */
 const writeProgress = (name, value) => {
-    if (stdout) {
+    const store = context.getStore();
+
+    listeners.forEach(listener => listener({ type: 'progress', name, value }, store));
+
+    if (!isTextOutput()) {
+        return;
+    } else if (store?.prefix || !stdout?.isTTY) {
+        if (store) {
+            store.progress = `${name ? `${name}: ` : ''}${value}`;
+        }
+    } else {
         stdout.clearLine();
         stdout.cursorTo(0);
         stdout.write(`${name ? `${name}: ` : ''}${value}`);
@@ -60,7 +195,20 @@ const writeProgress = (name, value) => {
 /**
  * Prints newline to stdout on progress end.
  */
-const endProgress = () => stdout?.write('\n');
+const endProgress = () => {
+    const store = context.getStore();
+
+    if (!isTextOutput()) {
+        return;
+    } else if (store?.prefix || !stdout?.isTTY) {
+        if (store?.progress) {
+            log(store.progress);
+            store.progress = null;
+        }
+    } else {
+        stdout?.write('\n');
+    }
+};
 
 /**
  * Exports primary log function as default.
@@ -74,6 +222,13 @@ export {
     initStdout,
     logMessage,
     logError,
+    logWarning,
     writeProgress,
-    endProgress
+    endProgress,
+    setOutputMode,
+    runInContext,
+    getContextErrors,
+    emitEvent,
+    onEvent,
+    flushEvents
 };
@@ -0,0 +1,140 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+export default class Manifest {
+
+    /**
+     * Default filename of @see Manifest.
+     */
+    static filename = 'manifest.json';
+
+    /**
+     * Initializes new instance of @see Manifest.
+     *
+     * @param {string} directory The directory of local archive.
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.filename = path.join(directory, Manifest.filename);
+        this.records = {};
+        this.merged = {};
+
+        if (fs.existsSync(this.filename)) {
+            const { records, merged } = fs.readJsonSync(this.filename);
+
+            this.records = records || {};
+            this.merged = merged || {};
+        }
+    }
+
+    /**
+     * Gets @see string with key of record entry.
+     *
+     * @param {string} date The date value.
+     * @param {string} record The record name value.
+     * @returns String with key of record entry.
+     */
+    static getKey = (date, record) => `${date}/${record}`;
+
+    /**
+     * Gets entry of downloaded record.
+     *
+     * @param {string} date The date value.
+     * @param {string} record The record name value.
+     * @returns Object with values of record entry.
+     */
+    get(date, record) {
+        return this.records[Manifest.getKey(date, record)];
+    }
+
+    /**
+     * Validates whether record is downloaded and present in local archive.
+     *
+     * @param {string} date The date value.
+     * @param {string} record The record name value.
+     * @returns Whether record is present.
+     */
+    has(date, record) {
+        const entry = this.get(date, record);
+
+        if (entry) {
+            const filename = path.join(this.directory, entry.file);
+
+            return fs.existsSync(filename) && fs.statSync(filename).size === entry.size;
+        }
+
+        return false;
+    }
+
+    /**
+     * Adds entry of downloaded record file.
+     *
+     * @param {string} date The date value.
+     * @param {string} record The record name value.
+     * @param {string} filename The local filename of record.
+     * @param {object} values Object with additional values of record (host, start, end).
+     * @returns Object with values of record entry.
+     */
+    async add(date, record, filename, values) {
+        const entry = {
+            name: record,
+            date,
+            ...values,
+            file: path.relative(this.directory, filename),
+            size: fs.statSync(filename).size,
+            checksum: await Manifest.getChecksum(filename),
+            downloadedAt: new Date().toISOString()
+        };
+
+        this.records[Manifest.getKey(date, record)] = entry;
+
+        return entry;
+    }
+
+    /**
+     * Replaces merged files of date. Previous merged files which are not part of
+     * the new files are removed from local archive.
+     *
+     * @param {string} date The date value.
+     * @param {Array} filenames Array with local filenames of merged files.
+     */
+    setMerged(date, filenames) {
+        const files = filenames.map(filename => path.relative(this.directory, filename));
+
+        for (const file of this.merged[date] || []) {
+            if (!files.includes(file)) {
+                fs.removeSync(path.join(this.directory, file));
+            }
+        }
+
+        this.merged[date] = files;
+    }
+
+    /**
+     * Writes entries of @see Manifest to file.
+     */
+    save() {
+        fs.outputJsonSync(this.filename, { records: this.records, merged: this.merged }, { spaces: 2 });
+    }
+
+    /**
+     * Calculates SHA-256 checksum of file.
+     *
+     * @param {string} filename The filename to calculate checksum.
+     * @returns String with hexadecimal checksum.
+     */
+    static getChecksum(filename) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+
+            fs.createReadStream(filename)
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+}
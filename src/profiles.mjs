@@ -0,0 +1,216 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Default firmware of camera profiles.
+ */
+const defaultFirmware = 'hi3510';
+
+/**
+ * Supported authentication methods of camera profiles.
+ */
+const authMethods = ['basic', 'digest', 'auto'];
+
+/**
+ * Field names of camera profile with per-camera fetch defaults.
+ */
+const fetchFields = ['targetDirectory', 'filenamePrefix', 'videoFilter'];
+
+/**
+ * Field names of camera profile which are given by index-aligned arrays of hosts.
+ */
+const hostFields = ['firmware', 'username', 'password', 'ssl', 'auth', 'channel', 'stream'];
+
+/**
+ * Gets value of array by index or last value of array.
+ *
+ * @param {Array} arr Array with values.
+ * @param {number} idx The target index.
+ * @returns Any data of array by index.
+ */
+const getValueByIdx = (arr, idx) => {
+    const values = [].concat(arr ?? []);
+
+    return values.length > idx ? values[idx] : values.slice(-1)[0];
+};
+
+/**
+ * Normalizes channel value of camera profile.
+ *
+ * @param {number|string|Array} channel The channel value (number, comma-separated list, array or all).
+ * @returns Array with channel numbers, string with all or undefined.
+ */
+const normalizeChannel = (channel) => {
+    if (channel == null || channel === '') {
+        return undefined;
+    }
+
+    if (String(channel).toLowerCase() === 'all') {
+        return 'all';
+    }
+
+    const channels = Array.isArray(channel) ? channel : String(channel).split(',');
+
+    return channels.map(value => parseInt(value)).filter(value => !isNaN(value));
+};
+
+/**
+ * Normalizes authentication method of camera profile.
+ *
+ * @param {string} auth The authentication method (basic, digest or auto).
+ * @param {string} label The label of camera profile.
+ * @returns String with authentication method.
+ */
+const normalizeAuth = (auth, label) => {
+    const value = auth ? String(auth).toLowerCase() : 'auto';
+
+    if (!authMethods.includes(value)) {
+        throw new Error(`Authentication ${auth} of camera ${label} is not supported`);
+    }
+
+    return value;
+};
+
+/**
+ * Parses content of configuration file by file extension.
+ *
+ * @param {string} file The path of configuration file.
+ * @param {string} content The content of configuration file.
+ * @returns Object with parsed configuration.
+ */
+const parseConfig = (file, content) => {
+    switch (path.extname(file).toLowerCase()) {
+        case '.yml':
+        case '.yaml':
+            return YAML.parse(content);
+        default:
+            return JSON.parse(content);
+    }
+};
+
+/**
+ * Normalizes camera profile and applies default values.
+ *
+ * @param {object} profile Object with values of camera profile.
+ * @param {string} name The name of camera profile.
+ * @returns Object with normalized camera profile.
+ */
+const normalizeProfile = (profile, name) => {
+    const { host, firmware, username, password, ssl } = profile;
+
+    if (!host) {
+        const label = profile.name || name;
+
+        throw new Error(`Host of camera${label ? ` ${label}` : ''} is missing`);
+    }
+
+    const result = {
+        name: profile.name || name || host,
+        host,
+        firmware: firmware || defaultFirmware,
+        username,
+        password,
+        ssl: ssl === true || String(ssl).toLowerCase() === 'true',
+        auth: normalizeAuth(profile.auth, profile.name || name || host),
+        channel: normalizeChannel(profile.channel),
+        stream: profile.stream?.toLowerCase()
+    };
+
+    const fetch = {};
+
+    for (const field of fetchFields) {
+        const value = profile.fetch?.[field];
+
+        if (value != null) {
+            fetch[field] = field === 'videoFilter' ? [].concat(value) : value;
+        }
+    }
+
+    result.fetch = fetch;
+
+    return result;
+};
+
+/**
+ * Gets camera profiles of parsed configuration.
+ *
+ * @param {object|Array} config Object or Array with camera profiles.
+ * @returns Array with normalized camera profiles.
+ */
+const getProfiles = (config) => {
+    const cameras = config?.cameras ?? config;
+
+    if (Array.isArray(cameras)) {
+        return cameras.map((profile, idx) => normalizeProfile(profile, profile?.name || `${idx}`));
+    } else if (cameras && typeof cameras === 'object') {
+        return Object.entries(cameras).map(([name, profile]) => normalizeProfile(profile, name));
+    }
+
+    return [];
+};
+
+/**
+ * Gets camera profiles by hosts and index-aligned arrays of their values.
+ *
+ * Hosts without value at their index use the last value of the array.
+ *
+ * @param {Array} hosts Array with hosts of IP cameras.
+ * @param {object} values Object with arrays of firmwares, usernames, passwords, ssls, auths, channels and streams by field name.
+ * @returns Array with camera profiles.
+ */
+const getProfilesByHosts = (hosts, values) => [].concat(hosts || []).map((host, idx) => {
+    const profile = { host };
+
+    for (const field of hostFields) {
+        const value = getValueByIdx(values?.[field], idx);
+
+        if (value != null) {
+            profile[field] = value;
+        }
+    }
+
+    return profile;
+});
+
+/**
+ * Loads camera profiles of JSON or YAML configuration file.
+ *
+ * @param {string} file The path of configuration file.
+ * @param {Array} names Array with names of camera profiles to select.
+ * @returns Array with selected camera profiles.
+ */
+const loadProfiles = (file, names) => {
+    const content = fs.readFileSync(file, 'utf8');
+    const profiles = getProfiles(parseConfig(file, content));
+
+    if (names?.length) {
+        return names.map(name => {
+            const profile = profiles.find(profile => profile.name === name);
+
+            if (!profile) {
+                throw new Error(`Camera ${name} not found in ${file}`);
+            }
+
+            return profile;
+        });
+    }
+
+    return profiles;
+};
+
+/**
+ * Exports primary function as default.
+ */
+export default loadProfiles;
+
+/**
+ * Exports secondary functions.
+ */
+export {
+    getProfilesByHosts,
+    normalizeProfile
+};
@@ -0,0 +1,170 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import moment from 'moment';
+
+export default class Schedule {
+
+    /**
+     * Array with names and ranges of cron fields.
+     */
+    static cronFields = [
+        { name: 'minute', min: 0, max: 59 },
+        { name: 'hour', min: 0, max: 23 },
+        { name: 'day of month', min: 1, max: 31 },
+        { name: 'month', min: 1, max: 12 },
+        { name: 'day of week', min: 0, max: 7 }
+    ];
+
+    /**
+     * Object with shortcuts of cron expressions.
+     */
+    static cronShortcuts = {
+        '@hourly': '0 * * * *',
+        '@daily': '0 0 * * *',
+        '@weekly': '0 0 * * 0',
+        '@monthly': '0 0 1 * *'
+    };
+
+    /**
+     * Maximum number of years to search for next run of cron expression.
+     */
+    static maxSearchYears = 5;
+
+    /**
+     * Initializes new instance of @see Schedule.
+     *
+     * @param {object} options Object with interval in minutes or cron expression.
+     */
+    constructor(options) {
+        const { interval, cron } = options || {};
+
+        if (cron) {
+            this.expression = cron;
+            this.cron = Schedule.parseCron(cron);
+        } else if (parseInt(interval) > 0) {
+            this.interval = parseInt(interval);
+        } else {
+            throw new Error('Interval or cron expression of schedule is required');
+        }
+    }
+
+    /**
+     * Gets moment of next run after specified moment.
+     *
+     * @param {object} from The moment after which to search. Defaults to now.
+     * @returns Moment of next run.
+     */
+    next(from) {
+        from = moment(from);
+
+        if (this.interval) {
+            return from.add(this.interval, 'minutes');
+        }
+
+        const date = from.startOf('minute').add(1, 'minute');
+        const limit = moment(date).add(Schedule.maxSearchYears, 'years');
+
+        const [minutes, hours, , months] = this.cron;
+
+        while (date.isBefore(limit)) {
+            if (!months.values.has(date.month() + 1)) {
+                date.add(1, 'month').startOf('month');
+            } else if (!this.#matchesDay(date)) {
+                date.add(1, 'day').startOf('day');
+            } else if (!hours.values.has(date.hour())) {
+                date.add(1, 'hour').startOf('hour');
+            } else if (!minutes.values.has(date.minute())) {
+                date.add(1, 'minute');
+            } else {
+                return date;
+            }
+        }
+
+        throw new Error(`Cron expression ${this.expression} has no upcoming run`);
+    }
+
+    /**
+     * Parses cron expression with minute, hour, day of month, month and day of week.
+     *
+     * @param {string} expression The cron expression to parse.
+     * @returns Array with parsed fields.
+     */
+    static parseCron(expression) {
+        const value = String(expression).trim();
+        const parts = (Schedule.cronShortcuts[value.toLowerCase()] || value).split(/\s+/);
+
+        if (parts.length !== Schedule.cronFields.length) {
+            throw new Error(`Cron expression ${expression} must contain ${Schedule.cronFields.length} fields`);
+        }
+
+        const fields = parts.map((part, idx) =>
+            Schedule.#parseCronField(expression, part, Schedule.cronFields[idx])
+        );
+
+        const weekdays = fields[4].values;
+
+        if (weekdays.delete(7)) {
+            weekdays.add(0);
+        }
+
+        return fields;
+    }
+
+    /**
+     * Parses field of cron expression with lists, ranges and steps.
+     *
+     * @param {string} expression The cron expression of field.
+     * @param {string} part The value of field to parse.
+     * @param {object} field Object with name and range of field.
+     * @returns Object with values and whether field contains any value.
+     */
+    static #parseCronField(expression, part, field) {
+        const values = new Set();
+
+        for (const item of part.split(',')) {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+
+            if (!match) {
+                throw new Error(`Invalid ${field.name} ${item} of cron expression ${expression}`);
+            }
+
+            const [, range, from, to, step] = match;
+
+            const start = range === '*' ? field.min : parseInt(from);
+            const end = range === '*' ? field.max : to != null ? parseInt(to) : step ? field.max : start;
+            const increment = step ? parseInt(step) : 1;
+
+            if (start < field.min || end > field.max || start > end || increment < 1) {
+                throw new Error(`Invalid ${field.name} ${item} of cron expression ${expression}`);
+            }
+
+            for (let value = start; value <= end; value += increment) {
+                values.add(value);
+            }
+        }
+
+        return { values, any: part.startsWith('*') };
+    }
+
+    /**
+     * Validates whether day of moment matches day of month and day of week.
+     *
+     * Either field must match if both fields are restricted.
+     *
+     * @param {object} date The moment to validate.
+     * @returns Whether day matches.
+     */
+    #matchesDay(date) {
+        const [, , days, , weekdays] = this.cron;
+
+        const matchesDay = days.values.has(date.date());
+        const matchesWeekday = weekdays.values.has(date.day());
+
+        if (!days.any && !weekdays.any) {
+            return matchesDay || matchesWeekday;
+        }
+
+        return matchesDay && matchesWeekday;
+    }
+}
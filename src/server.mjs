@@ -0,0 +1,753 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { IpcamsdError, NoRecordsError, toIpcamsdError } from './errors.mjs';
+import log, { logError, runInContext, onEvent } from './log.mjs';
+import { normalizeProfile } from './profiles.mjs';
+
+export default class Server {
+
+    /**
+     * Default port of HTTP server.
+     */
+    static defaultPort = 8080;
+
+    /**
+     * Default address of HTTP server.
+     */
+    static defaultBind = '127.0.0.1';
+
+    /**
+     * Maximum size of request body in bytes.
+     */
+    static maxBodySize = 1024 * 1024;
+
+    /**
+     * Maximum number of finished jobs kept in memory.
+     */
+    static maxJobs = 100;
+
+    /**
+     * Directory of files of web interface.
+     */
+    static webDirectory = path.join(path.dirname(fileURLToPath(import.meta.url)), 'web');
+
+    /**
+     * Names of files of web interface.
+     */
+    static webFiles = ['index.html', 'app.js', 'style.css'];
+
+    /**
+     * Names of fetch options which are accepted by jobs.
+     * 
+     * Video filters and font files are excluded since they can read and write arbitrary files.
+     * Jobs choose video filters by name of filter presets of the server instead.
+     */
+    static jobOptions = [
+        'startDate', 'endDate', 'startTime', 'endTime', 'separateByDate', 'separateBy', 'maxOutputSize',
+        'trim', 'lastMinutes', 'targetFileType', 'filenamePrefix', 'filename', 'recordType',
+        'filenameRecordType', 'speed', 'timelapse', 'audio', 'timestampOverlay', 'timestampFormat',
+        'timestampPosition', 'timestampFontSize', 'minGap', 'fillGaps'
+    ];
+
+    /**
+     * Names of job options which are part of output filenames.
+     */
+    static filenameOptions = ['filenamePrefix', 'filename', 'targetFileType'];
+
+    /**
+     * Addresses of loopback interfaces which are also reachable by localhost.
+     */
+    static loopbackAddresses = ['127.0.0.1', '::1', 'localhost'];
+
+    /**
+     * Addresses to listen on all interfaces.
+     */
+    static wildcardAddresses = ['0.0.0.0', '::'];
+
+    /**
+     * Names of settings which are applied to all commands.
+     */
+    static commandOptions = ['concurrency', 'timeout', 'retries', 'retryDelay'];
+
+    /**
+     * Object with file extensions and their content types.
+     */
+    static contentTypes = {
+        '.mp4': 'video/mp4',
+        '.m4v': 'video/mp4',
+        '.mkv': 'video/x-matroska',
+        '.webm': 'video/webm',
+        '.mov': 'video/quicktime',
+        '.avi': 'video/x-msvideo',
+        '.ts': 'video/mp2t',
+        '.json': 'application/json',
+        '.html': 'text/html; charset=utf-8',
+        '.js': 'text/javascript; charset=utf-8',
+        '.css': 'text/css; charset=utf-8'
+    };
+
+    /**
+     * Initializes new instance of @see Server.
+     *
+     * @param {object} ipcamsd The @see Ipcamsd instance to process commands.
+     * @param {Array} cameras Array with camera profiles.
+     * @param {object} options Object with port, bind address, target directory and settings of commands.
+     */
+    constructor(ipcamsd, cameras, options) {
+        this.ipcamsd = ipcamsd;
+        this.profiles = [].concat(cameras || []).map(profile => normalizeProfile(profile));
+        this.options = options || {};
+        this.port = parseInt(this.options.port) || Server.defaultPort;
+        this.bind = this.options.bind || Server.defaultBind;
+        this.directory = path.resolve(this.options.targetDirectory || process.cwd());
+        this.filterPresets = this.#getFilterPresets(this.options.filterPreset);
+        this.jobs = new Map();
+        this.queue = Promise.resolve();
+
+        this.routes = [
+            ['GET', /^\/([\w.-]*)$/, this.#sendWebFile],
+            ['GET', /^\/api\/cameras$/, this.#getCameras],
+            ['GET', /^\/api\/filters$/, this.#getFilters],
+            ['GET', /^\/api\/cameras\/([^/]+)\/recordings$/, this.#getRecordings],
+            ['GET', /^\/api\/jobs$/, this.#getJobs],
+            ['POST', /^\/api\/jobs$/, this.#createJob],
+            ['GET', /^\/api\/jobs\/([^/]+)$/, this.#getJob],
+            ['GET', /^\/api\/files$/, this.#getFiles],
+            ['GET', /^\/api\/files\/([^/]+)$/, this.#sendFile]
+        ];
+    }
+
+    /**
+     * Starts HTTP server and resolves after @see Server is stopped.
+     */
+    start() {
+        fs.ensureDirSync(this.directory);
+
+        this.server = http.createServer((req, res) => this.#handleRequest(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server
+                .on('error', reject)
+                .on('close', resolve)
+                .listen(this.port, this.bind, () => {
+                    log(`Listening on http://${this.bind}:${this.server.address().port}`, chalk.green.bold);
+                });
+        });
+    }
+
+    /**
+     * Stops HTTP server. Open connections are closed.
+     */
+    stop() {
+        this.server?.close();
+        this.server?.closeAllConnections();
+    }
+
+    /**
+     * Handles HTTP request by routes and sends errors as JSON.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     */
+    async #handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+
+        try {
+            this.#validateHost(req.headers.host);
+
+            const routes = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+
+            if (!routes.length) {
+                return this.#sendJson(res, 404, { error: { message: 'Not found' } });
+            }
+
+            const route = routes.find(([routeMethod]) => routeMethod === method);
+
+            if (!route) {
+                res.setHeader('Allow', routes.map(([routeMethod]) => routeMethod).join(', '));
+
+                return this.#sendJson(res, 405, { error: { message: 'Method not allowed' } });
+            }
+
+            const [, pattern, handler] = route;
+            const params = pattern.exec(url.pathname).slice(1).map(decodeURIComponent);
+
+            await handler.call(this, req, res, params, url.searchParams);
+        } catch (err) {
+            const status = err.status || 500;
+
+            if (status === 500) {
+                logError(err.message);
+            }
+
+            if (!res.headersSent) {
+                this.#sendJson(res, status, { error: toIpcamsdError(err).toJSON() });
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    /**
+     * Validates Host header of request against bound address and port to prevent DNS rebinding.
+     *
+     * Loopback addresses are also reachable by localhost. All IP addresses are accepted
+     * if the server listens on all interfaces.
+     *
+     * @param {string} host The value of Host header.
+     */
+    #validateHost(host) {
+        let hostname, port;
+
+        try {
+            const url = new URL(`http://${host}`);
+
+            hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+            port = parseInt(url.port || 80);
+        } catch {
+            throw this.#createHttpError(400, 'Host header is missing or invalid');
+        }
+
+        const bind = this.bind.replace(/^\[(.*)\]$/, '$1');
+
+        const allowed = hostname === bind
+            || (Server.loopbackAddresses.includes(bind) && Server.loopbackAddresses.includes(hostname))
+            || (Server.wildcardAddresses.includes(bind) && net.isIP(hostname) > 0);
+
+        if (!allowed || port !== this.server.address().port) {
+            throw this.#createHttpError(403, `Host ${host} is not allowed`);
+        }
+    }
+
+    /**
+     * Sends file of web interface with timeline of recordings.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     * @param {Array} params Array with name of file.
+     */
+    #sendWebFile(req, res, [name]) {
+        name = name || Server.webFiles[0];
+
+        if (!Server.webFiles.includes(name)) {
+            throw this.#createHttpError(404, `File ${name} not found`);
+        }
+
+        const body = fs.readFileSync(path.join(Server.webDirectory, name));
+
+        res.writeHead(200, {
+            'Content-Type': Server.contentTypes[path.extname(name)],
+            'Content-Length': body.length
+        });
+
+        res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    /**
+     * Sends names, hosts, firmwares, channels and streams of cameras.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     */
+    #getCameras(req, res) {
+        this.#sendJson(res, 200, this.profiles.map(({ name, host, firmware, channel, stream }) =>
+            ({ name, host, firmware, channel, stream })
+        ));
+    }
+
+    /**
+     * Sends names and video filters of filter presets.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     */
+    #getFilters(req, res) {
+        this.#sendJson(res, 200, [...this.filterPresets].map(([name, filter]) => ({ name, filter })));
+    }
+
+    /**
+     * Sends recordings per date of camera. Dates are filtered by optional date parameter.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     * @param {Array} params Array with name of camera.
+     * @param {object} query The parameters of query string.
+     */
+    async #getRecordings(req, res, [name], query) {
+        const profile = this.#getProfile(name);
+
+        const [result] = await this.ipcamsd.process('list', [profile], this.#getCommandOptions());
+
+        if (result.status === 'failed' && result.error?.code !== NoRecordsError.code) {
+            return this.#sendJson(res, 502, { error: result.error });
+        }
+
+        const date = query.get('date');
+        const dates = (result.result || []).filter(item => !date || item.date === date);
+
+        this.#sendJson(res, 200, dates);
+    }
+
+    /**
+     * Sends all jobs without their results.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     */
+    #getJobs(req, res) {
+        this.#sendJson(res, 200, [...this.jobs.values()].map(({ results, ...job }) => job));
+    }
+
+    /**
+     * Sends job with progress, files and results.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     * @param {Array} params Array with identifier of job.
+     */
+    #getJob(req, res, [id]) {
+        const job = this.jobs.get(id);
+
+        if (!job) {
+            throw this.#createHttpError(404, `Job ${id} not found`);
+        }
+
+        this.#sendJson(res, 200, job);
+    }
+
+    /**
+     * Creates fetch job of cameras and options of request body.
+     *
+     * Cameras are names or objects with name and channels of camera. Jobs are queued
+     * and processed one after another.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     */
+    async #createJob(req, res) {
+        const body = await this.#readJson(req);
+
+        const profiles = this.#getJobProfiles(body.cameras);
+        const options = this.#getJobOptions(body.options);
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            cameras: profiles.map(profile => profile.name),
+            options,
+            progress: { hosts: 0, records: 0, downloaded: 0, failed: 0, bytes: 0, current: null },
+            files: [],
+            createdAt: new Date().toISOString()
+        };
+
+        this.#addJob(job);
+
+        this.queue = this.queue.then(() => this.#runJob(job, profiles));
+
+        res.setHeader('Location', `/api/jobs/${job.id}`);
+
+        this.#sendJson(res, 202, job);
+    }
+
+    /**
+     * Gets camera profiles of job with optional channels of request body.
+     *
+     * @param {Array} cameras Array with names or objects with name and channels of cameras.
+     * @returns Array with camera profiles.
+     */
+    #getJobProfiles(cameras) {
+        return [].concat(cameras || this.profiles.map(profile => profile.name)).map(camera => {
+            const { name, channel } = typeof camera === 'object' && camera ? camera : { name: camera };
+            const profile = this.#getProfile(name);
+
+            if (channel == null) {
+                return profile;
+            }
+
+            const channels = [].concat(channel);
+
+            if (!channels.length || !channels.every(value => Number.isInteger(value) && value > 0)) {
+                throw this.#createHttpError(400, `Channel ${channel} of camera ${name} is not supported`);
+            }
+
+            return { ...profile, channel: channels };
+        });
+    }
+
+    /**
+     * Gets and validates accepted fetch options of job.
+     *
+     * Values of filename options must not contain path separators to keep output files
+     * in the target directory of the server.
+     *
+     * @param {object} values Object with options of request body.
+     * @returns Object with accepted options.
+     */
+    #getJobOptions(values) {
+        const options = {};
+
+        for (const key of Server.jobOptions) {
+            if (values?.[key] != null) {
+                options[key] = values[key];
+            }
+        }
+
+        for (const key of Server.filenameOptions) {
+            for (const value of [].concat(options[key] ?? []).map(String).filter(value => value)) {
+                const filename = path.resolve(this.directory, value);
+
+                if (/[/\\]|\.\./.test(value) || path.dirname(filename) !== this.directory) {
+                    throw this.#createHttpError(400, `Option ${key} must not contain a path`);
+                }
+            }
+        }
+
+        if (values?.filterPreset != null && values.filterPreset !== '') {
+            options.filterPreset = String(values.filterPreset);
+
+            if (!this.filterPresets.has(options.filterPreset)) {
+                throw this.#createHttpError(400, `Filter preset ${options.filterPreset} not found`);
+            }
+        }
+
+        try {
+            this.ipcamsd.validate('fetch', this.#getFetchOptions(options));
+        } catch (err) {
+            throw this.#createHttpError(400, err.message);
+        }
+
+        return options;
+    }
+
+    /**
+     * Runs fetch of job and updates progress by emitted events.
+     *
+     * @param {object} job Object with values of job.
+     * @param {Array} profiles Array with camera profiles of job.
+     */
+    async #runJob(job, profiles) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        const removeListener = onEvent((event, store) => {
+            if (store?.job === job.id) {
+                this.#updateProgress(job, event);
+            }
+        });
+
+        try {
+            const options = {
+                ...this.#getFetchOptions(job.options),
+                ...this.#getCommandOptions(),
+                targetDirectory: this.directory
+            };
+
+            job.results = await runInContext({ job: job.id }, () =>
+                this.ipcamsd.process('fetch', profiles, options)
+            );
+
+            job.status = job.results.every(result => result.status === 'failed') ? 'failed' : 'finished';
+        } catch (err) {
+            job.status = 'failed';
+            job.error = toIpcamsdError(err).toJSON();
+        } finally {
+            removeListener();
+
+            job.finishedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Updates progress and files of job by emitted event.
+     *
+     * @param {object} job Object with values of job.
+     * @param {object} event Object with type and data of event.
+     */
+    #updateProgress(job, event) {
+        const { progress } = job;
+
+        switch (event.type) {
+            case 'records':
+                progress.records += event.dates.reduce((count, dateObj) => count + dateObj.records.length, 0);
+                break;
+            case 'download':
+                progress[event.success ? 'downloaded' : 'failed']++;
+                progress.bytes += event.bytes || 0;
+                break;
+            case 'output':
+                job.files.push({
+                    name: path.basename(event.file),
+                    host: event.host,
+                    url: `/api/files/${encodeURIComponent(path.basename(event.file))}`
+                });
+                break;
+            case 'progress':
+                progress.current = `${event.name ? `${event.name}: ` : ''}${event.value}`;
+                break;
+            case 'result':
+                progress.hosts++;
+                progress.current = null;
+                break;
+        }
+    }
+
+    /**
+     * Adds job and removes oldest finished jobs.
+     *
+     * @param {object} job Object with values of job.
+     */
+    #addJob(job) {
+        this.jobs.set(job.id, job);
+
+        for (const [id, { status }] of this.jobs) {
+            if (this.jobs.size <= Server.maxJobs) {
+                break;
+            } else if (status === 'finished' || status === 'failed') {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Sends names, sizes and modification times of files in target directory.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     */
+    #getFiles(req, res) {
+        const files = fs.readdirSync(this.directory, { withFileTypes: true })
+            .filter(entry => entry.isFile())
+            .map(({ name }) => {
+                const { size, mtime } = fs.statSync(path.join(this.directory, name));
+
+                return { name, size, modifiedAt: mtime.toISOString(), url: `/api/files/${encodeURIComponent(name)}` };
+            });
+
+        this.#sendJson(res, 200, files);
+    }
+
+    /**
+     * Sends file of target directory. Single byte ranges are sent as partial content.
+     *
+     * @param {object} req The incoming request.
+     * @param {object} res The response to send.
+     * @param {Array} params Array with name of file.
+     */
+    #sendFile(req, res, [name]) {
+        const filename = path.join(this.directory, name);
+
+        if (path.basename(name) !== name || !fs.existsSync(filename) || !fs.statSync(filename).isFile()) {
+            throw this.#createHttpError(404, `File ${name} not found`);
+        }
+
+        const { size } = fs.statSync(filename);
+        const range = this.#parseRange(req.headers.range, size);
+
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Content-Type', Server.contentTypes[path.extname(name).toLowerCase()] || 'application/octet-stream');
+
+        if (range === null) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+
+            return this.#sendJson(res, 416, { error: { message: 'Range not satisfiable' } });
+        }
+
+        const { start, end } = range || { start: 0, end: size - 1 };
+
+        if (range) {
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+
+        res.setHeader('Content-Length', Math.max(end - start + 1, 0));
+        res.writeHead(range ? 206 : 200);
+
+        if (req.method === 'HEAD' || size === 0) {
+            return res.end();
+        }
+
+        fs.createReadStream(filename, { start, end })
+            .on('error', () => res.destroy())
+            .pipe(res);
+    }
+
+    /**
+     * Parses single byte range of Range header.
+     *
+     * @param {string} header The value of Range header.
+     * @param {number} size The size of file in bytes.
+     * @returns Object with start and end of range, null if unsatisfiable or undefined without range.
+     */
+    #parseRange(header, size) {
+        const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() || '');
+
+        if (!match || (!match[1] && !match[2])) {
+            return;
+        }
+
+        let start, end;
+
+        if (!match[1]) {
+            start = Math.max(size - parseInt(match[2]), 0);
+            end = size - 1;
+        } else {
+            start = parseInt(match[1]);
+            end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+        }
+
+        return start <= end && start < size ? { start, end } : null;
+    }
+
+    /**
+     * Gets fetch options of job with video filter of chosen filter preset.
+     *
+     * @param {object} options Object with accepted options of job.
+     * @returns Object with options of fetch command.
+     */
+    #getFetchOptions({ filterPreset, ...options }) {
+        return filterPreset ? { ...options, videoFilter: [this.filterPresets.get(filterPreset)] } : options;
+    }
+
+    /**
+     * Gets and validates filter presets by values of name and video filter (e.g. fast=setpts=PTS/30).
+     *
+     * @param {Array|string} values Array with filter presets.
+     * @returns Map object with names and video filters of filter presets.
+     */
+    #getFilterPresets(values) {
+        const presets = new Map();
+
+        for (const value of [].concat(values || [])) {
+            const idx = String(value).indexOf('=');
+            const name = String(value).slice(0, idx).trim();
+            const filter = String(value).slice(idx + 1).trim();
+
+            if (idx < 1 || !name || !filter) {
+                throw new Error(`Filter preset ${value} is not supported (name=filter)`);
+            }
+
+            presets.set(name, filter);
+        }
+
+        return presets;
+    }
+
+    /**
+     * Gets camera profile by name.
+     *
+     * @param {string} name The name of camera profile.
+     * @returns Object with values of camera profile.
+     */
+    #getProfile(name) {
+        const profile = this.profiles.find(profile => profile.name === name);
+
+        if (!profile) {
+            throw this.#createHttpError(404, `Camera ${name} not found`);
+        }
+
+        return profile;
+    }
+
+    /**
+     * Gets @see object with settings which are applied to all commands.
+     *
+     * @returns Object with options of command.
+     */
+    #getCommandOptions() {
+        const options = {};
+
+        for (const key of Server.commandOptions) {
+            if (this.options[key] != null) {
+                options[key] = this.options[key];
+            }
+        }
+
+        return options;
+    }
+
+    /**
+     * Reads JSON object of request body. Requests without JSON content type are rejected.
+     *
+     * @param {object} req The incoming request.
+     * @returns Object with parsed request body.
+     */
+    #readJson(req) {
+        const contentType = req.headers['content-type']?.split(';')[0].trim().toLowerCase();
+
+        if (contentType !== 'application/json') {
+            return Promise.reject(this.#createHttpError(415, 'Content type must be application/json'));
+        }
+
+        return new Promise((resolve, reject) => {
+            let body = '';
+
+            req.setEncoding('utf8');
+
+            req.on('data', chunk => {
+                body += chunk;
+
+                if (body.length > Server.maxBodySize) {
+                    reject(this.#createHttpError(413, 'Request body too large'));
+                    req.destroy();
+                }
+            });
+
+            req.on('end', () => {
+                try {
+                    const value = body ? JSON.parse(body) : {};
+
+                    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                        throw new Error('Request body must be a JSON object');
+                    }
+
+                    resolve(value);
+                } catch (err) {
+                    reject(this.#createHttpError(400, err.message));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Sends value as JSON response.
+     *
+     * @param {object} res The response to send.
+     * @param {number} status The HTTP status code.
+     * @param {*} value The value to send.
+     */
+    #sendJson(res, status, value) {
+        const body = JSON.stringify(value);
+
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body)
+        });
+
+        res.end(res.req?.method === 'HEAD' ? undefined : body);
+    }
+
+    /**
+     * Creates @see IpcamsdError with HTTP status code.
+     *
+     * @param {number} status The HTTP status code.
+     * @param {string} message The message of error.
+     * @returns Error with HTTP status code.
+     */
+    #createHttpError(status, message) {
+        const err = new IpcamsdError(message);
+
+        err.status = status;
+
+        return err;
+    }
+}
@@ -0,0 +1,281 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import moment from 'moment';
+import path from 'path';
+import Ipcamsd from './ipcamsd.mjs';
+import Schedule from './schedule.mjs';
+import { toIpcamsdError } from './errors.mjs';
+import log, { logMessage, logError, emitEvent } from './log.mjs';
+import { normalizeProfile } from './profiles.mjs';
+
+export default class Watcher {
+
+    /**
+     * Default filename of state with latest downloaded records per camera.
+     */
+    static defaultStateFile = 'ipcamsd-watch.json';
+
+    /**
+     * Names of commands which can be watched.
+     */
+    static commands = ['fetch', 'sync'];
+
+    /**
+     * Maximum delay of timer in milliseconds.
+     */
+    static maxTimerDelay = 2147483647;
+
+    /**
+     * Format of date and time values of log messages.
+     */
+    static dateTimeFormat = 'YYYY-MM-DD HH:mm:ss';
+
+    /**
+     * Initializes new instance of @see Watcher.
+     *
+     * Options of command are validated before the first cycle.
+     *
+     * @param {object} ipcamsd The @see Ipcamsd instance to process command.
+     * @param {string} command The name of command to run per cycle (fetch or sync).
+     * @param {Array} cameras Array with camera profiles.
+     * @param {object} options Object with options of command, interval or cron and state file.
+     */
+    constructor(ipcamsd, command, cameras, options) {
+        this.command = (command || 'fetch').toLowerCase();
+
+        if (!Watcher.commands.includes(this.command)) {
+            throw new Error(`Command ${command} cannot be watched`);
+        }
+
+        this.ipcamsd = ipcamsd;
+        this.profiles = [].concat(cameras || []).map(profile => normalizeProfile(profile));
+        this.options = options || {};
+
+        this.ipcamsd.validate(this.command, this.options);
+
+        this.schedule = new Schedule(this.options);
+        this.stateFile = path.resolve(this.options.stateFile || Watcher.defaultStateFile);
+        this.cycles = 0;
+    }
+
+    /**
+     * Starts cycles of command by schedule until @see Watcher is stopped.
+     *
+     * Cycles with interval start immediately. Cycles with cron expression start
+     * at the next matching minute. Cycles never overlap.
+     */
+    async start() {
+        this.stopped = false;
+
+        let next = this.schedule.cron ? this.schedule.next() : moment();
+
+        while (!this.stopped) {
+            await this.#waitUntil(next);
+
+            if (this.stopped) {
+                break;
+            }
+
+            const startTime = moment();
+
+            await this.#runCycle();
+
+            next = moment.max(this.schedule.next(startTime), moment());
+
+            if (!this.stopped) {
+                logMessage(`Next cycle at ${next.format(Watcher.dateTimeFormat)}`);
+            }
+        }
+    }
+
+    /**
+     * Stops @see Watcher after current cycle.
+     */
+    stop() {
+        this.stopped = true;
+
+        clearTimeout(this.timer);
+
+        this.wake?.();
+    }
+
+    /**
+     * Runs command of all cameras, stores latest downloaded records and logs summary of cycle.
+     *
+     * Cameras are resumed after the end of their latest downloaded record. Failed cameras
+     * keep their state and are resumed from the same point in the next cycle.
+     */
+    async #runCycle() {
+        const cycle = ++this.cycles;
+        const startTime = Date.now();
+        const state = this.#loadState();
+        const results = [];
+
+        log(`Cycle ${cycle}`, chalk.blue.bold);
+
+        for (const [resume, profiles] of this.#groupByResumePoint(state)) {
+            try {
+                results.push(...await this.ipcamsd.process(
+                    this.command,
+                    profiles,
+                    this.#getOptions(resume)
+                ));
+            } catch (err) {
+                const error = toIpcamsdError(err);
+
+                logError(error.message);
+
+                results.push(...profiles.map(({ name, host }) => ({
+                    name,
+                    host,
+                    status: 'failed',
+                    error: error.toJSON()
+                })));
+            }
+        }
+
+        for (const result of results) {
+            if (result?.last) {
+                state.cameras[result.name] = { ...result.last, updatedAt: new Date().toISOString() };
+            }
+        }
+
+        this.#saveState(state);
+
+        this.#logSummary(cycle, results, Date.now() - startTime);
+    }
+
+    /**
+     * Groups camera profiles by start date and time of next records.
+     *
+     * @param {object} state Object with latest downloaded records of cameras.
+     * @returns Map object with resume points and their camera profiles.
+     */
+    #groupByResumePoint(state) {
+        const groups = new Map();
+
+        for (const profile of this.profiles) {
+            const last = state.cameras[profile.name];
+
+            const resume = last
+                ? moment(`${last.date}${last.time}`, `${Ipcamsd.dateFormat}${Ipcamsd.timeFormat}`)
+                    .add(1, 'seconds')
+                    .format(`${Ipcamsd.dateFormat}_${Ipcamsd.timeFormat}`)
+                : '';
+
+            if (!groups.has(resume)) {
+                groups.set(resume, []);
+            }
+
+            groups.get(resume).push(profile);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Gets options of command by resume point.
+     *
+     * Date and time options are applied if no records of the cameras are downloaded yet.
+     *
+     * @param {string} resume The start date and time of next records.
+     * @returns Object with options of command.
+     */
+    #getOptions(resume) {
+        if (!resume) {
+            return this.options;
+        }
+
+        const [startDate, startTime] = resume.split('_');
+
+        return {
+            ...this.options,
+            startDate,
+            startTime,
+            endDate: moment().format(Ipcamsd.dateFormat),
+            endTime: undefined,
+            lastMinutes: undefined,
+            startDelay: undefined
+        };
+    }
+
+    /**
+     * Logs and emits summary of cycle.
+     *
+     * Cameras without new records are not counted as failed.
+     *
+     * @param {number} cycle The number of cycle.
+     * @param {Array} results Array with results of hosts.
+     * @param {number} duration The duration of cycle in milliseconds.
+     */
+    #logSummary(cycle, results, duration) {
+        const idle = results.filter(result => result?.error?.code === 'NO_RECORDS');
+        const failed = results.filter(result => result?.status === 'failed' && !idle.includes(result));
+        const succeeded = results.filter(result => result?.status !== 'failed');
+
+        const summary = {
+            cycle,
+            succeeded: succeeded.map(result => result.name),
+            idle: idle.map(result => result.name),
+            failed: failed.map(result => result.name),
+            duration
+        };
+
+        emitEvent('cycle', summary);
+
+        log(
+            `Cycle ${cycle} finished in ${moment.duration(duration).asSeconds().toFixed(1)}s: ` +
+            `${succeeded.length} succeeded, ${idle.length} without new records, ${failed.length} failed`,
+            failed.length ? chalk.red : chalk.green
+        );
+    }
+
+    /**
+     * Loads state with latest downloaded records of cameras.
+     *
+     * @returns Object with cameras and their latest downloaded records.
+     */
+    #loadState() {
+        if (fs.existsSync(this.stateFile)) {
+            try {
+                return { cameras: {}, ...fs.readJsonSync(this.stateFile) };
+            } catch (err) {
+                logError(`State file ${this.stateFile} could not be read: ${err.message}`);
+            }
+        }
+
+        return { cameras: {} };
+    }
+
+    /**
+     * Writes state with latest downloaded records of cameras.
+     *
+     * @param {object} state Object with cameras and their latest downloaded records.
+     */
+    #saveState(state) {
+        try {
+            fs.outputJsonSync(this.stateFile, state, { spaces: 2 });
+        } catch (err) {
+            logError(`State file ${this.stateFile} could not be written: ${err.message}`);
+        }
+    }
+
+    /**
+     * Waits until moment is reached or @see Watcher is stopped.
+     *
+     * @param {object} date The moment to wait for.
+     */
+    async #waitUntil(date) {
+        let delay;
+
+        while (!this.stopped && (delay = date.diff(moment())) > 0) {
+            await new Promise(resolve => {
+                this.wake = resolve;
+                this.timer = setTimeout(resolve, Math.min(delay, Watcher.maxTimerDelay));
+            });
+        }
+    }
+}
@@ -0,0 +1,496 @@
+// Copyright (c) 2022, Thorsten A. Weintz. All rights reserved.
+// Licensed under the MIT license. See LICENSE in the project root for license information.
+
+/**
+ * Number of seconds per day.
+ */
+const secondsPerDay = 24 * 60 * 60;
+
+/**
+ * Interval of job progress requests in milliseconds.
+ */
+const pollInterval = 1000;
+
+/**
+ * State with cameras, their recordings and selected time span in seconds.
+ */
+const state = {
+    cameras: [],
+    recordings: new Map(),
+    selection: null
+};
+
+/**
+ * Gets element of page by identifier.
+ *
+ * @param {string} id The identifier of element.
+ * @returns The element of page.
+ */
+const $ = (id) => document.getElementById(id);
+
+/**
+ * Creates element with class name and text content.
+ *
+ * @param {string} tag The tag name of element.
+ * @param {string} className The optional class name of element.
+ * @param {string} text The optional text content of element.
+ * @returns The created element.
+ */
+const createElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+
+    if (className) element.className = className;
+    if (text != null) element.textContent = text;
+
+    return element;
+};
+
+/**
+ * Requests JSON of REST API.
+ *
+ * @param {string} url The URL of request.
+ * @param {object} options Object with options of fetch request.
+ * @returns Parsed JSON of response.
+ */
+const requestJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json();
+
+    if (!response.ok) {
+        throw new Error(body?.error?.message || response.statusText);
+    }
+
+    return body;
+};
+
+/**
+ * Converts time value (HHmmss or HH:mm:ss) to seconds of day.
+ *
+ * @param {string} value The time value to convert.
+ * @returns Number with seconds of day.
+ */
+const toSeconds = (value) => {
+    const digits = String(value || '').replace(/:/g, '').padEnd(6, '0');
+
+    return parseInt(digits.slice(0, 2)) * 3600 + parseInt(digits.slice(2, 4)) * 60 + parseInt(digits.slice(4, 6));
+};
+
+/**
+ * Converts seconds of day to time value with separator.
+ *
+ * @param {number} seconds The seconds of day.
+ * @param {string} separator The separator of hours, minutes and seconds.
+ * @returns String with time value.
+ */
+const toTime = (seconds, separator = ':') => [
+    Math.floor(seconds / 3600),
+    Math.floor(seconds / 60) % 60,
+    seconds % 60
+].map(value => String(value).padStart(2, '0')).join(separator);
+
+/**
+ * Loads cameras and their recordings of REST API.
+ */
+async function loadRecordings() {
+    setStatus('Loading recordings...');
+
+    state.cameras = await requestJson('api/cameras');
+    state.recordings.clear();
+
+    await Promise.all(state.cameras.map(async camera => {
+        try {
+            state.recordings.set(camera.name, await requestJson(`api/cameras/${encodeURIComponent(camera.name)}/recordings`));
+        } catch (err) {
+            state.recordings.set(camera.name, { error: err.message });
+        }
+    }));
+
+    renderDates();
+    renderTimeline();
+
+    setStatus('');
+}
+
+/**
+ * Loads filter presets of REST API and renders their options.
+ */
+async function loadFilters() {
+    const filters = await requestJson('api/filters');
+
+    $('filter').replaceChildren($('filter').options[0], ...filters.map(({ name, filter }) => {
+        const option = createElement('option', null, name);
+
+        option.value = name;
+        option.title = filter;
+
+        return option;
+    }));
+}
+
+/**
+ * Renders options of dates with recordings. The latest date is selected by default.
+ */
+function renderDates() {
+    const select = $('date');
+    const selected = select.value;
+
+    const dates = new Set();
+
+    for (const recordings of state.recordings.values()) {
+        if (Array.isArray(recordings)) {
+            recordings.forEach(({ date }) => dates.add(date));
+        }
+    }
+
+    select.replaceChildren(...[...dates].sort().reverse().map(date => {
+        const option = createElement('option', null, `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`);
+
+        option.value = date;
+
+        return option;
+    }));
+
+    if (dates.has(selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Renders scale and timeline rows of cameras and channels by selected date.
+ */
+function renderTimeline() {
+    const date = $('date').value;
+    const rows = [];
+
+    $('scale').replaceChildren(...Array.from({ length: 9 }, (_, idx) => {
+        const tick = createElement('span', 'tick', `${String(idx * 3).padStart(2, '0')}:00`);
+
+        tick.style.left = `${idx / 8 * 100}%`;
+
+        return tick;
+    }));
+
+    for (const camera of state.cameras) {
+        const recordings = state.recordings.get(camera.name);
+
+        if (!Array.isArray(recordings)) {
+            rows.push(createRow(camera, null, [], recordings?.error));
+            continue;
+        }
+
+        const items = recordings.filter(item => item.date === date);
+
+        if (!items.length) {
+            rows.push(createRow(camera, null, []));
+        }
+
+        for (const item of items) {
+            rows.push(createRow(camera, item.channel, item.segments || []));
+        }
+    }
+
+    $('rows').replaceChildren(...rows);
+
+    renderSelection();
+}
+
+/**
+ * Creates timeline row of camera with segments of recordings.
+ *
+ * @param {object} camera Object with values of camera.
+ * @param {number} channel The optional channel of recordings.
+ * @param {Array} segments Array with records and their start and end times.
+ * @param {string} error The optional error message of recordings.
+ * @returns The created row element.
+ */
+function createRow(camera, channel, segments, error) {
+    const row = createElement('div', 'row');
+    const label = createElement('label', 'label');
+    const checkbox = createElement('input');
+    const bar = createElement('div', 'bar');
+
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.camera = camera.name;
+
+    if (channel != null) {
+        checkbox.dataset.channel = channel;
+    }
+
+    label.append(checkbox, ` ${camera.name}${channel != null ? ` (channel ${channel})` : ''}`);
+
+    if (error) {
+        label.append(createElement('span', 'failed', ` ${error}`));
+        label.title = error;
+    }
+
+    for (const { record, start, end, types } of segments) {
+        const startSeconds = toSeconds(start);
+        let endSeconds = toSeconds(end);
+
+        if (endSeconds < startSeconds) {
+            endSeconds = secondsPerDay;
+        }
+
+        const segment = createElement('div', 'segment');
+
+        segment.style.left = `${startSeconds / secondsPerDay * 100}%`;
+        segment.style.width = `${(endSeconds - startSeconds) / secondsPerDay * 100}%`;
+        segment.title = `${record} (${toTime(startSeconds)} - ${toTime(endSeconds % secondsPerDay)})` +
+            (types?.length ? ` ${types.join(', ')}` : '');
+
+        bar.append(segment);
+    }
+
+    bar.addEventListener('mousedown', startSelection);
+
+    row.append(label, bar);
+
+    return row;
+}
+
+/**
+ * Starts selection of time span by mouse on timeline bar.
+ *
+ * @param {object} event The mousedown event of bar.
+ */
+function startSelection(event) {
+    const bar = event.currentTarget;
+    const anchor = getSecondsByPosition(bar, event.clientX);
+
+    const move = (moveEvent) => {
+        const seconds = getSecondsByPosition(bar, moveEvent.clientX);
+
+        setSelection(Math.min(anchor, seconds), Math.max(anchor, seconds));
+    };
+
+    const stop = () => {
+        window.removeEventListener('mousemove', move);
+        window.removeEventListener('mouseup', stop);
+    };
+
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', stop);
+
+    event.preventDefault();
+
+    setSelection(anchor, anchor);
+}
+
+/**
+ * Gets seconds of day by horizontal position on timeline bar.
+ *
+ * @param {object} bar The element of timeline bar.
+ * @param {number} x The horizontal position of mouse.
+ * @returns Number with seconds of day.
+ */
+function getSecondsByPosition(bar, x) {
+    const { left, width } = bar.getBoundingClientRect();
+    const ratio = Math.min(Math.max((x - left) / width, 0), 1);
+
+    return Math.min(Math.round(ratio * secondsPerDay), secondsPerDay - 1);
+}
+
+/**
+ * Sets selected time span and updates time inputs.
+ *
+ * @param {number} start The start of selection in seconds of day.
+ * @param {number} end The end of selection in seconds of day.
+ */
+function setSelection(start, end) {
+    state.selection = { start, end };
+
+    $('start-time').value = toTime(start);
+    $('end-time').value = toTime(end);
+
+    renderSelection();
+}
+
+/**
+ * Renders selected time span on all timeline bars.
+ */
+function renderSelection() {
+    const { selection } = state;
+
+    for (const bar of document.querySelectorAll('#rows .bar')) {
+        bar.querySelector('.selection')?.remove();
+
+        if (selection) {
+            const element = createElement('div', 'selection');
+
+            element.style.left = `${selection.start / secondsPerDay * 100}%`;
+            element.style.width = `${(selection.end - selection.start) / secondsPerDay * 100}%`;
+
+            bar.append(element);
+        }
+    }
+}
+
+/**
+ * Gets selected cameras with their selected channels.
+ *
+ * Cameras without channels are sent by name only.
+ *
+ * @returns Array with names or objects with name and channels of cameras.
+ */
+function getSelectedCameras() {
+    const channels = new Map();
+
+    for (const checkbox of document.querySelectorAll('#rows input:checked')) {
+        const { camera, channel } = checkbox.dataset;
+
+        if (!channels.has(camera)) {
+            channels.set(camera, []);
+        }
+
+        if (channel != null) {
+            channels.get(camera).push(Number(channel));
+        }
+    }
+
+    return [...channels].map(([name, channel]) => channel.length ? { name, channel } : name);
+}
+
+/**
+ * Starts fetch job of selected cameras, channels and time span.
+ *
+ * @param {object} event The submit event of form.
+ */
+async function startFetch(event) {
+    event.preventDefault();
+
+    const cameras = getSelectedCameras();
+
+    if (!cameras.length) {
+        return setStatus('No camera selected');
+    }
+
+    const date = $('date').value;
+    const speed = $('speed').value.trim();
+    const filterPreset = $('filter').value;
+
+    const options = {
+        startDate: date,
+        endDate: date,
+        startTime: toTime(toSeconds($('start-time').value), ''),
+        endTime: toTime(toSeconds($('end-time').value), ''),
+        trim: $('trim').value,
+        ...(speed && { speed }),
+        ...(filterPreset && { filterPreset })
+    };
+
+    try {
+        const job = await requestJson('api/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cameras, options })
+        });
+
+        pollJob(job.id);
+    } catch (err) {
+        setStatus(err.message);
+    }
+}
+
+/**
+ * Requests and renders progress of job until it is finished or failed.
+ *
+ * @param {string} id The identifier of job.
+ */
+async function pollJob(id) {
+    try {
+        const job = await requestJson(`api/jobs/${id}`);
+
+        renderJob(job);
+
+        if (job.status === 'queued' || job.status === 'running') {
+            setTimeout(() => pollJob(id), pollInterval);
+        }
+    } catch (err) {
+        setStatus(err.message);
+    }
+}
+
+/**
+ * Renders status, progress, files and errors of job.
+ *
+ * @param {object} job Object with values of job.
+ */
+function renderJob(job) {
+    let item = document.querySelector(`#jobs li[data-id="${job.id}"]`);
+
+    if (!item) {
+        item = createElement('li');
+        item.dataset.id = job.id;
+
+        $('jobs').prepend(item);
+    }
+
+    const { progress, options } = job;
+    const done = progress.downloaded + progress.failed;
+
+    const title = createElement('div', job.status === 'failed' ? 'failed' : null,
+        `${job.cameras.join(', ')} | ${[options.startDate, options.startTime, options.endDate, options.endTime]
+            .filter(value => value).join(' ')} | ${job.status}`);
+
+    const bar = createElement('progress');
+
+    bar.max = Math.max(progress.records, 1);
+    bar.value = job.status === 'finished' ? bar.max : done;
+
+    const details = createElement('div', null,
+        `${done}/${progress.records} records, ${(progress.bytes / 1024 / 1024).toFixed(1)} MB` +
+        (progress.current ? ` | ${progress.current}` : ''));
+
+    const files = createElement('div');
+
+    for (const file of job.files) {
+        const link = createElement('a', null, file.name);
+
+        link.href = file.url;
+        link.target = '_blank';
+
+        files.append(link, ' ');
+    }
+
+    const errors = (job.results || [])
+        .filter(result => result.error)
+        .map(result => createElement('div', 'failed', `${result.name}: ${result.error.message}`));
+
+    item.replaceChildren(title, bar, details, files, ...errors);
+}
+
+/**
+ * Sets status message of page.
+ *
+ * @param {string} message The status message.
+ */
+function setStatus(message) {
+    $('status').textContent = message;
+}
+
+/**
+ * Attaches events of page and loads recordings.
+ */
+$('date').addEventListener('change', renderTimeline);
+$('reload').addEventListener('click', () => loadRecordings().catch(err => setStatus(err.message)));
+$('fetch').addEventListener('submit', startFetch);
+
+for (const id of ['start-time', 'end-time']) {
+    $(id).addEventListener('change', () => {
+        const start = toSeconds($('start-time').value);
+        const end = toSeconds($('end-time').value);
+
+        state.selection = { start: Math.min(start, end), end: Math.max(start, end) };
+
+        renderSelection();
+    });
+}
+
+requestJson('api/jobs')
+    .then(jobs => jobs.reverse().forEach(job => pollJob(job.id)))
+    .catch(() => { });
+
+loadFilters().catch(err => setStatus(err.message));
+
+loadRecordings().catch(err => setStatus(err.message));